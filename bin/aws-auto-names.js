@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * names the resources and output exports of a plain cloudformation or sam template
+ *
+ * usage: aws-auto-names <template> [options], see the usage text below
+ */
+const fs = require("fs");
+const { AutoNames, applyAutoNames } = require("../lib/auto-names");
+const { formatLockfile, getLockedNames, lockNames, parseLockfile } = require("../lib/lock");
+const { formatWarningSummary } = require("../lib/report");
+const { formatTemplate, parseTemplate } = require("../lib/template-file");
+
+const usage = `usage: aws-auto-names <template> [options]
+
+Inserts generated names into the resources and output exports of the JSON or YAML CloudFormation template.
+
+options:
+  -c, --config <file>    JSON or YAML file containing the naming config
+  -o, --output <file>    file the named template is written to, defaults to stdout
+  -r, --report <file>    file the JSON report of the names is written to
+  -f, --format <format>  "json" or "yaml", defaults to the format of the template
+  -l, --lockfile <file>  lockfile whose locked names are kept instead of the generated ones
+  --lock                 writes the names to the lockfile
+  --service <name>       service used by the {service} token
+  --stage <name>         stage used by the {stage} token
+  --region <name>        region used by the {region} token
+  --prefix <prefix>      prefix used by the {prefix} token
+  --mode <mode>          "apply" or "audit", which leaves the template unchanged
+  -h, --help             prints this usage text
+`;
+
+// options taking a value by their names and aliases
+const valueOptions = {
+    "-c": "config", "--config": "config",
+    "-o": "output", "--output": "output",
+    "-r": "report", "--report": "report",
+    "-f": "format", "--format": "format",
+    "-l": "lockfile", "--lockfile": "lockfile",
+    "--service": "service",
+    "--stage": "stage",
+    "--region": "region",
+    "--prefix": "prefix",
+    "--mode": "mode",
+};
+
+/**
+ * parses the command line arguments
+ * @param {String[]} args
+ * @returns {Object} - option values by option name, where the template path is the "template" option
+ */
+function parseArgs(args) {
+    const options = {};
+
+    for(let idx = 0; idx < args.length; idx++) {
+        const arg = args[idx];
+
+        if(arg === "-h" || arg === "--help") {
+            options.help = true;
+        } else if(arg === "--lock") {
+            options.lock = true;
+        } else if(valueOptions[arg]) {
+            if(idx + 1 >= args.length) {
+                throw new Error(`option ${arg} requires a value`);
+            }
+
+            options[valueOptions[arg]] = args[++idx];
+        } else if(arg.startsWith("-")) {
+            throw new Error(`unknown option ${arg}`);
+        } else if(options.template === undefined) {
+            options.template = arg;
+        } else {
+            throw new Error(`unexpected argument ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if(options.help) {
+        process.stdout.write(usage);
+        return;
+    } else if(options.template === undefined) {
+        throw new Error("no template specified\n\n" + usage);
+    } else if(options.format !== undefined && !["json", "yaml"].includes(options.format)) {
+        throw new Error("option --format must be \"json\" or \"yaml\"");
+    } else if(options.lock && options.lockfile === undefined) {
+        throw new Error("option --lock requires the --lockfile option");
+    }
+
+    const { template, format } = parseTemplate(fs.readFileSync(options.template).toString());
+    const config = options.config === undefined ? {} : parseTemplate(fs.readFileSync(options.config).toString()).template;
+
+    ["service", "stage", "region", "prefix", "mode"].forEach((prop) => {
+        if(options[prop] !== undefined) {
+            config[prop] = options[prop];
+        }
+    });
+
+    const autoNames = new AutoNames(config);
+    const { stage, region } = autoNames.config.templateValues;
+    const lockfile = options.lockfile !== undefined && fs.existsSync(options.lockfile)
+        ? parseLockfile(fs.readFileSync(options.lockfile).toString(), options.lockfile) : undefined;
+
+    const result = applyAutoNames(template, config, { lock: getLockedNames(lockfile, stage, region) });
+
+    if(result.report.warnings.length > 0) {
+        console.error(`warnings\n${formatWarningSummary(result.report.warnings)}`);
+    }
+
+    if(options.report !== undefined) {
+        fs.writeFileSync(options.report, JSON.stringify(result.report, null, 2));
+    }
+
+    if(options.lock) {
+        fs.writeFileSync(options.lockfile, formatLockfile(lockNames(lockfile, result.report).lockfile));
+    }
+
+    // fail on unnamed resources in audit mode after the report is written
+    autoNames.checkUnnamed(result.report);
+
+    const output = formatTemplate(result.template, options.format || format);
+
+    if(options.output !== undefined) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+try {
+    main();
+} catch(err) {
+    console.error(err.message);
+    process.exit(1);
+}
@@ -0,0 +1,2139 @@
+const { kebabCase } = require("change-case");
+const crypto = require("crypto");
+const { caseTransforms, inlinePolicyTemplateTokens, parseNameTemplate, renderNameTemplate } = require("./name-template");
+const catalog = require("./catalog.json");
+
+// maximum number of tags of a resource, not counting the ones with the aws: prefix added by cloudformation
+const maxTagCount = 50;
+
+// defines type identifier
+class TypeID {
+    constructor(root, provider, name) {
+        this.root = root;
+        this.provider = provider;
+        this.name = name;
+    }
+
+    /**
+     * checks whether identifiers are equal
+     * @param {TypeID} a
+     * @param {TypeID} b
+     * @returns {boolean}
+     */
+    static equal(a, b) {
+        return (a.root === b.root || a.root === "*" || b.root === "*")
+            && (a.provider === b.provider || a.provider === "*" || b.provider === "*")
+            && (a.name === b.name || a.name === "*" || b.name === "*");
+    }
+
+    /**
+     * parses identifier from the format used in the resource type property
+     * @param {String} type - e.g. "AWS::S3::Bucket", parts may be "*" to match any
+     * @returns {TypeID|undefined} - undefined if the type is of unknown format
+     */
+    static parse(type) {
+        const m = /^(?<typeRoot>\w*|\*)::(?<typeProvider>\w*|\*)(::(?<typeName>\w*|\*))?$/.exec(type);
+
+        if(!m) {
+            return undefined;
+        }
+
+        const { groups: { typeRoot, typeProvider, typeName } } = m;
+
+        return new TypeID(typeRoot, typeProvider, typeName);
+    }
+
+    /**
+     * formats identifier as used in the resource type property
+     * @returns {string}
+     */
+    toString() {
+        return [this.root, this.provider, this.name].filter(part => part !== undefined).join("::");
+    }
+}
+
+// defines behaviour when inserting the resource name for resources of a specific type provider and type name
+class TypeSpec {
+    /**
+     * @param {TypeID} typeId
+     * @param {Object?} options
+     * @param {Function?} options.nameConverter - converts final name before usage
+     * @param {Function?} options.logicalNameConverter - converts the logical name before it is inserted into the name template
+     * @param {Boolean?} options.namePropIncludesTypeName - whether the type uses the type name when deciding the type name property
+     * @param {Boolean?} options.noNameInsertion - whether auto generated name should be generated on this type
+     * @param {String?} options.namePropReplacement - used instead of name prop generation if specified
+     * @param {Function?} options.nameSuffix - generates a suffix appended to the converted name, which is kept when shortening
+     * @param {Number?} options.maxLength - maximum length of the name value including its suffix
+     * @param {RegExp?} options.allowedCharacters - matches a single character that is allowed in the name value
+     * @param {String?} options.separator - replaces illegal characters and separates the hash of shortened names
+     * @param {String?} options.logicalNameCase - case transform applied on the logical name token if the template specifies none
+     * @param {String?} options.namespace - namespace in which names have to be unique, defaults to the type
+     * @param {Boolean?} options.caseInsensitiveNames - whether names differing only in case collide within the namespace
+     * @param {String?} options.scope - "region", "account" or "global", the scope in which names of the type have to be unique
+     * @param {String?} options.tagsFormat - "list" or "map", the form of the tags of the type, or "none" if it has no tags
+     * @param {String?} options.tagsProp - property of the tags
+     */
+    constructor(typeId, options = {}) {
+        const {
+            nameConverter = ({ value }) => value,
+            logicalNameConverter = ({ value }) => value,
+            namePropIncludesTypeName = true,
+            noNameInsertion = false,
+            namePropReplacement = undefined,
+            nameSuffix = () => "",
+            maxLength = undefined,
+            allowedCharacters = undefined,
+            separator = "-",
+            logicalNameCase = undefined,
+            namespace = undefined,
+            caseInsensitiveNames = false,
+            scope = "region",
+            tagsFormat = "none",
+            tagsProp = "Tags",
+            ...rest
+        } = options;
+
+        if(Object.keys(rest).length > 0) {
+            throw new Error(JSON.stringify(Object.keys(rest)) + " Invalid TypeSpec Options");
+        }
+
+        this.typeId = typeId;
+        this.options = options;
+        this.nameConverter = nameConverter;
+        this.logicalNameConverter = logicalNameConverter;
+        this.namePropIncludesTypeName = namePropIncludesTypeName;
+        this.noNameInsertion = noNameInsertion;
+        this.namePropReplacement = namePropReplacement;
+        this.nameSuffix = nameSuffix;
+        this.maxLength = maxLength;
+        this.allowedCharacters = allowedCharacters;
+        this.separator = separator;
+        this.logicalNameCase = logicalNameCase;
+        this.namespace = namespace;
+        this.caseInsensitiveNames = caseInsensitiveNames;
+        this.scope = scope;
+        this.tagsFormat = tagsFormat;
+        this.tagsProp = tagsProp;
+    }
+
+    /**
+     * retrieves the namespace in which names of this type have to be unique
+     * @returns {String}
+     */
+    getNamespace() {
+        return this.namespace || this.typeId.toString();
+    }
+
+    /**
+     * creates specification for the type with the options overridden by the given ones
+     * @param {TypeID} typeId
+     * @param {Object} options
+     * @returns {TypeSpec}
+     */
+    extend(typeId, options) {
+        return new TypeSpec(typeId, { ...this.options, ...options });
+    }
+
+    /**
+     * generates property name where the generated name value is inserted
+     * @returns {string}
+     */
+    getNameProp() {
+        return this.namePropReplacement || (this.namePropIncludesTypeName ? this.typeId.name + "Name" : "Name");
+    }
+
+    /**
+     * retrieves the name template used for the logical name,
+     * which is either specified for the logical resource, for the type or globally
+     * @param {Object} params
+     * @param {String} params.logicalName
+     * @param {Object} params.pluginConfig - config object used in plugin
+     * @returns {String}
+     */
+    getNameTemplate({ logicalName, pluginConfig }) {
+        const { nameTemplate, typeNameTemplates = {}, resourceNameTemplates = {} } = pluginConfig;
+
+        return resourceNameTemplates[logicalName] || typeNameTemplates[this.typeId.toString()] || nameTemplate;
+    }
+
+    /**
+     * generates resource name based on the name template and logical name
+     * @param {Object} params
+     * @param {Object} params.element - element on which name is inserted
+     * @param {Object?} params.logicalElement - logical equivalent specified by the template
+     * @param {String} params.logicalName
+     * @param {Object} params.pluginConfig - config object used in plugin
+     * @returns {*}
+     */
+    getNameValue({ element, logicalElement, logicalName, pluginConfig }) {
+        const template = this.getNameTemplate({ logicalName, pluginConfig });
+        const value = this.nameConverter({
+            value: renderNameTemplate(template, {
+                ...pluginConfig.templateValues,
+                typeProvider: this.typeId.provider,
+                typeName: this.typeId.name,
+                logicalName: (pluginConfig.logicalNameReplacements || {})[logicalName] || this.logicalNameConverter({
+                    value: logicalName, element, logicalElement, logicalName, pluginConfig
+                }),
+            }, { logicalName: this.logicalNameCase }),
+            element, logicalElement, logicalName, pluginConfig,
+        });
+
+        const qualifier = this.getScopeQualifier({ template, pluginConfig });
+        const suffix = (qualifier ? this.separator + this.sanitizeNameValue(qualifier) : "")
+            + this.nameSuffix({ element, logicalElement, logicalName, pluginConfig });
+
+        return this.shortenNameValue(this.sanitizeNameValue(value), suffix) + suffix;
+    }
+
+    /**
+     * generates the qualifier appended to names whose scope is wider than the region of the stack,
+     * which is the region for account wide names and a short hash of account and region for global names
+     * @param {Object} params
+     * @param {String} params.template - name template used for the name
+     * @param {Object} params.pluginConfig - config object used in plugin
+     * @returns {String|undefined} - undefined if the name needs no qualifier
+     */
+    getScopeQualifier({ template, pluginConfig }) {
+        const { qualifyScopedNames, accountId, templateValues: { region } } = pluginConfig;
+
+        if(!qualifyScopedNames || this.scope === "region") {
+            return undefined;
+        }
+
+        const tokens = parseNameTemplate(template).map(part => part.token);
+
+        if(this.scope === "account") {
+            return tokens.includes("region") ? undefined : region;
+        }
+
+        if(tokens.includes("region") && tokens.includes("accountAlias")) {
+            return undefined;
+        }
+
+        return accountId === undefined ? region
+            : crypto.createHash("sha256").update(`${accountId}:${region}`).digest("hex").substr(0, 8);
+    }
+
+    /**
+     * replaces characters that are not allowed by the type with the separator
+     * @param {String} value
+     * @returns {String}
+     */
+    sanitizeNameValue(value) {
+        if(!this.allowedCharacters) {
+            return value;
+        }
+
+        return value.split("").map(char => this.allowedCharacters.test(char) ? char : this.separator).join("");
+    }
+
+    /**
+     * shortens the value so that it fits the max length together with the suffix,
+     * by truncating it and appending a short hash of the full value to keep it unique and deterministic
+     * @param {String} value
+     * @param {String} suffix - suffix that is appended after shortening
+     * @returns {String}
+     */
+    shortenNameValue(value, suffix = "") {
+        if(this.maxLength === undefined || value.length + suffix.length <= this.maxLength) {
+            return value;
+        }
+
+        const hash = crypto.createHash("sha256").update(value + suffix).digest("hex").substr(0, 8);
+        const length = this.maxLength - suffix.length - hash.length - this.separator.length;
+
+        if(length <= 0) {
+            throw new Error(`Name "${value + suffix}" cannot be shortened to ${this.maxLength} characters`);
+        }
+
+        return value.substr(0, length) + this.separator + hash;
+    }
+
+    /**
+     * checks the name value against the constraints of the type
+     * @param {*} value
+     * @returns {String|undefined} - description of the violated constraint or undefined if the value is valid
+     */
+    getNameValueViolation(value) {
+        // intrinsic functions can only be resolved by CloudFormation
+        if(typeof value !== "string") {
+            return undefined;
+        }
+
+        if(this.maxLength !== undefined && value.length > this.maxLength) {
+            return `"${value}" exceeds the maximum length of ${this.maxLength} characters`;
+        }
+
+        if(this.allowedCharacters) {
+            const illegal = value.split("").filter(char => !this.allowedCharacters.test(char));
+
+            if(illegal.length > 0) {
+                return `"${value}" contains the illegal characters ${JSON.stringify(illegal.join(""))}`;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * retrieves the name value that is specified at the name prop of the element
+     * @param {Object?} element
+     * @returns {*}
+     */
+    getNamePropValue(element) {
+        return this.getNameProp().split(".").reduce(
+            (prev, val) => {
+                return prev === undefined ? undefined : prev[val];
+            }, element || {}
+        );
+    }
+
+    /**
+     * checks if this specification applies for typeId
+     * @param {TypeID} typeId
+     * @returns {boolean}
+     */
+    isApplicable(typeId) {
+        return TypeID.equal(this.typeId, typeId);
+    }
+
+    /**
+     * applies name insertion
+     * @param {Object} params
+     * @param {Object} params.element - element on which name is inserted
+     * @param {Object?} params.logicalElement - logical equivalent specified by the template
+     * @param {String} params.logicalName
+     * @param {Object} params.pluginConfig - config object used in plugin
+     * @returns {{ nameValue: *, provided: Boolean }|undefined} - inserted name and whether it was specified by the template,
+     * undefined if no name is inserted for this type
+     */
+    applyType({ element, logicalElement, logicalName, pluginConfig }) {
+        if(this.isNameInserted()) {
+            const defaultNameValue = this.getNamePropValue(logicalElement);
+
+            const nameValue = defaultNameValue
+                || this.getNameValue({ element, logicalElement, logicalName, pluginConfig });
+
+            this.setNamePropValue(element, nameValue);
+
+            return { nameValue, provided: !!defaultNameValue };
+        }
+    }
+
+    /**
+     * sets the name value at the name prop of the element, creating the objects of nested name props
+     * @param {Object} element
+     * @param {*} nameValue
+     */
+    setNamePropValue(element, nameValue) {
+        const namePropNested = this.getNameProp().split(".");
+
+        namePropNested.reduce((prev, val, idx) => {
+            if(!prev[val]) {
+                prev[val] = {};
+            }
+
+            if(idx === namePropNested.length - 1) {
+                prev[val] = nameValue;
+            } else {
+                return prev[val];
+            }
+        }, element);
+    }
+
+    /**
+     * checks whether name insertion should be performed for this type
+     */
+    isNameInserted() {
+        return !this.noNameInsertion;
+    }
+
+    /**
+     * merges the tags into the tags property of the element in the form of the type, where tags already specified are kept,
+     * unless the merged tags would exceed the maximum number of tags of a resource, in which case none are merged
+     * @param {Object} element
+     * @param {Object} tags - tag values by key
+     * @returns {String|undefined} - reason why the tags are not merged, which is that the type has no tags, its tags are
+     * specified in another form, e.g. by an intrinsic function, or there are too many of them, undefined if they are merged
+     */
+    mergeTags(element, tags) {
+        const current = element[this.tagsProp];
+        const notMergeable = `its property "${this.tagsProp}" is not a ${this.tagsFormat}`;
+        const tooMany = count => `its property "${this.tagsProp}" would have ${count} tags, but at most ${maxTagCount} are allowed`;
+
+        if(this.tagsFormat === "list") {
+            if(current !== undefined && !Array.isArray(current)) {
+                return notMergeable;
+            }
+
+            const list = current || [];
+            const keys = list.map(tag => (typeof tag === "object" && tag !== null ? tag["Key"] : undefined));
+            const added = Object.keys(tags).filter(key => !keys.includes(key));
+
+            if(list.length + added.length > maxTagCount) {
+                return tooMany(list.length + added.length);
+            }
+
+            element[this.tagsProp] = list.concat(added.map(key => ({ Key: key, Value: tags[key] })));
+            return undefined;
+        } else if(this.tagsFormat === "map") {
+            if(current !== undefined && (typeof current !== "object" || current === null || Array.isArray(current)
+                || Object.keys(current).some(key => key === "Ref" || key.startsWith("Fn::")))) {
+                return notMergeable;
+            }
+
+            const merged = { ...tags, ...current };
+
+            if(Object.keys(merged).length > maxTagCount) {
+                return tooMany(Object.keys(merged).length);
+            }
+
+            element[this.tagsProp] = merged;
+            return undefined;
+        }
+
+        return `its type "${this.typeId.toString()}" has no tags`;
+    }
+}
+
+// characters allowed in iam names
+const iamCharacters = /[A-Za-z0-9_+=,.@-]/;
+
+/**
+ * parses type options as specified in the catalog or the types config into type specification options
+ * @param {Object} typeOptions
+ * @param {Function?} baseNameConverter - name converter applied before the character replacement and case conversion
+ * @returns {Object}
+ */
+function parseTypeOptions(typeOptions, baseNameConverter = ({ value }) => value) {
+    if(typeof typeOptions !== "object" || typeOptions === null || Array.isArray(typeOptions)) {
+        throw new Error("must be an object");
+    }
+
+    const {
+        namePropReplacement,
+        namePropIncludesTypeName,
+        noNameInsertion,
+        logicalNameCase,
+        nameCase,
+        replaceCharacters,
+        maxLength,
+        allowedCharacters,
+        separator,
+        namespace,
+        caseInsensitiveNames,
+        scope,
+        tagsFormat,
+        tagsProp,
+        ...rest
+    } = typeOptions;
+
+    if(Object.keys(rest).length > 0) {
+        throw new Error(`contains the unknown properties ${JSON.stringify(Object.keys(rest))}`);
+    }
+
+    const options = {};
+
+    if(namePropReplacement !== undefined) {
+        if(typeof namePropReplacement !== "string" || namePropReplacement.length === 0) {
+            throw new Error(`namePropReplacement must be a nonempty string`);
+        }
+
+        options.namePropReplacement = namePropReplacement;
+    }
+
+    [
+        ["namePropIncludesTypeName", namePropIncludesTypeName],
+        ["noNameInsertion", noNameInsertion],
+        ["caseInsensitiveNames", caseInsensitiveNames],
+    ].forEach(([prop, value]) => {
+        if(value !== undefined) {
+            if(typeof value !== "boolean") {
+                throw new Error(`${prop} must be a boolean`);
+            }
+
+            options[prop] = value;
+        }
+    });
+
+    if(logicalNameCase !== undefined) {
+        if(!caseTransforms[logicalNameCase]) {
+            throw new Error(`logicalNameCase must be one of ${JSON.stringify(Object.keys(caseTransforms))}`);
+        }
+
+        options.logicalNameCase = logicalNameCase;
+    }
+
+    if(maxLength !== undefined) {
+        if(!Number.isInteger(maxLength) || maxLength <= 0) {
+            throw new Error(`maxLength must be a positive integer`);
+        }
+
+        options.maxLength = maxLength;
+    }
+
+    if(allowedCharacters !== undefined) {
+        if(typeof allowedCharacters !== "string" || allowedCharacters.length === 0) {
+            throw new Error(`allowedCharacters must be a nonempty string`);
+        }
+
+        try {
+            options.allowedCharacters = new RegExp(`[${allowedCharacters}]`);
+        } catch(err) {
+            throw new Error(`allowedCharacters must be a valid regular expression character set: ${err.message}`);
+        }
+    }
+
+    if(separator !== undefined) {
+        if(typeof separator !== "string") {
+            throw new Error(`separator must be a string`);
+        }
+
+        options.separator = separator;
+    }
+
+    if(namespace !== undefined) {
+        if(typeof namespace !== "string" || namespace.length === 0) {
+            throw new Error(`namespace must be a nonempty string`);
+        }
+
+        options.namespace = namespace;
+    }
+
+    if(scope !== undefined) {
+        if(!["region", "account", "global"].includes(scope)) {
+            throw new Error(`scope must be one of ["region","account","global"]`);
+        }
+
+        options.scope = scope;
+    }
+
+    if(tagsFormat !== undefined) {
+        if(!["list", "map", "none"].includes(tagsFormat)) {
+            throw new Error(`tagsFormat must be one of ["list","map","none"]`);
+        }
+
+        options.tagsFormat = tagsFormat;
+    }
+
+    if(tagsProp !== undefined) {
+        if(typeof tagsProp !== "string" || tagsProp.length === 0) {
+            throw new Error(`tagsProp must be a nonempty string`);
+        }
+
+        options.tagsProp = tagsProp;
+    }
+
+    if(nameCase !== undefined && !["lower", "upper"].includes(nameCase)) {
+        throw new Error(`nameCase must be one of ["lower","upper"]`);
+    }
+
+    if(replaceCharacters !== undefined && (
+        typeof replaceCharacters !== "object" || replaceCharacters === null || Array.isArray(replaceCharacters)
+        || Object.keys(replaceCharacters).some(key => key.length === 0 || typeof replaceCharacters[key] !== "string")
+    )) {
+        throw new Error(`replaceCharacters must be an object mapping nonempty strings to strings`);
+    }
+
+    if(nameCase !== undefined || replaceCharacters !== undefined) {
+        options.nameConverter = (params) => {
+            let value = baseNameConverter(params);
+
+            Object.keys(replaceCharacters || {}).forEach((search) => {
+                value = value.split(search).join(replaceCharacters[search]);
+            });
+
+            if(nameCase === "lower") {
+                value = value.toLowerCase();
+            } else if(nameCase === "upper") {
+                value = value.toUpperCase();
+            }
+
+            return value;
+        };
+    }
+
+    return options;
+}
+
+// behaviour of types that cannot be expressed in the catalog
+const typeBehaviours = {
+    "AWS::Lambda::Function": {
+        logicalNameConverter: ({ value, pluginConfig: { removeLambdaFunctionSuffix } }) => (
+            removeLambdaFunctionSuffix ? value.replace(/LambdaFunction$/, "") : value
+        ),
+    },
+    "AWS::SQS::Queue": {
+        nameSuffix: ({ logicalElement, pluginConfig: { appendDotFifoToFifoSqsQueues } }) => (
+            (logicalElement || {}).FifoQueue === true && appendDotFifoToFifoSqsQueues ? ".fifo" : ""
+        ),
+    },
+};
+
+// list of type behaviour specifications created from the catalog
+const typeSpecs = Object.keys(catalog.types).map((type) => {
+    const options = parseTypeOptions(catalog.types[type]);
+
+    return new TypeSpec(TypeID.parse(type), { ...options, ...typeBehaviours[type] });
+});
+
+/**
+ * throws formatted error with given message and optional passed error as its cause
+ * @param {String} msg
+ * @param {*?} err
+ */
+function throwError(msg, err) {
+    const error = new Error("Aws Auto Resource Names Error: " + msg + (err ? ` (${err.message})` : ""));
+
+    if(err) {
+        error.cause = err;
+    }
+
+    throw error;
+}
+
+// modes of the plugin, where audit only reports the names without inserting them
+const modes = ["apply", "audit"];
+
+// specification used for the export names of outputs
+const exportTypeSpec = new TypeSpec(new TypeID("CUSTOM", "Output", "Export"), {
+    namePropIncludesTypeName: false,
+    namespace: "Exports",
+    maxLength: 255,
+    allowedCharacters: /[A-Za-z0-9:-]/,
+});
+
+/**
+ * checks whether the name matches the pattern, in which "*" matches any sequence of characters
+ * @param {String} name
+ * @param {String} pattern
+ * @returns {boolean}
+ */
+function matchesPattern(name, pattern) {
+    const source = pattern.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+
+    return new RegExp(`^${source}$`).test(name);
+}
+
+// file name patterns of the nested stack templates written to the package directory by serverless-plugin-split-stacks
+const defaultNestedStackTemplates = ["cloudformation-template-*nested-stack*.json"];
+
+// file name of the lockfile in the service directory, whose locked names are kept instead of the generated ones
+const defaultLockfile = "auto-resource-names.lock.json";
+
+// specification used for the names of inline policies of iam roles, users and groups
+const inlinePolicyTypeSpec = new TypeSpec(new TypeID("CUSTOM", "IAM", "InlinePolicy"), {
+    namePropReplacement: "PolicyName",
+    maxLength: 128,
+    allowedCharacters: iamCharacters,
+});
+
+// types whose inline policies are named
+const inlinePolicyTypes = ["AWS::IAM::Role", "AWS::IAM::User", "AWS::IAM::Group"];
+
+// property of inline policies specifying the key used in their name instead of the content hash, removed after naming
+const inlinePolicyKeyProp = "AwsAutoResourceNamesKey";
+
+/**
+ * removes the key property from the inline policies of the template, which CloudFormation rejects,
+ * including the policies that are not named since naming is disabled, skipped or only audited
+ * @param {Object} template - cloudformation template
+ */
+function removeInlinePolicyKeys(template) {
+    const resources = template["Resources"] || {};
+
+    Object.keys(resources).filter(logicalName => inlinePolicyTypes.includes(resources[logicalName].Type)).forEach((logicalName) => {
+        const policies = (resources[logicalName]["Properties"] || {})["Policies"];
+
+        if(Array.isArray(policies)) {
+            policies.filter(policy => typeof policy === "object" && policy !== null).forEach((policy) => {
+                delete policy[inlinePolicyKeyProp];
+            });
+        }
+    });
+}
+
+/**
+ * generates and inserts the names of the resources and output exports of cloudformation templates
+ */
+class AutoNames {
+    /**
+     * @param {Object?} config - naming config, as specified under custom.awsAutoResourceNames of the serverless config,
+     * including the service, stage and region of the template
+     * @param {{ naming: Object?, lock: Object? }?} context - naming utilities of the serverless aws provider
+     * used for the logical names of functions and the names locked for the stage and region
+     */
+    constructor(config = {}, { naming, lock } = {}) {
+        this.naming = naming;
+
+        // naming results of the resources by logical name
+        this.records = {};
+
+        // naming results of the output exports by logical name
+        this.exportRecords = {};
+
+        // warnings encountered while naming
+        this.warnings = [];
+
+        this.initializeConfig(config);
+        this.useLock(lock);
+    }
+
+    /**
+     * keeps the locked names instead of the generated ones for the resources and exports that specify no name
+     * @param {{ resources: Object, exports: Object }?} lock - locked names by logical name, as read from the lockfile
+     */
+    useLock(lock) {
+        this.lock = { resources: {}, exports: {}, ...lock };
+    }
+
+    /**
+     * replaces the generated name by the locked one, reporting a warning if they differ
+     * @param {TypeSpec} typeSpec - specification the name was generated by
+     * @param {Object} element - element on which the name is inserted
+     * @param {{ nameValue: * }} result - result of the name insertion, which is changed to the locked name
+     * @param {{ logicalName: String, type: String }} named - logical name and type of the resource or export
+     * @param {*} lockedValue
+     * @returns {{ nameValue: *, locked: Boolean, generatedValue: * }} - result with the locked name
+     * and the generated name if it differs
+     */
+    applyLockedName(typeSpec, element, result, { logicalName, type }, lockedValue) {
+        typeSpec.setNamePropValue(element, lockedValue);
+
+        if(JSON.stringify(result.nameValue) === JSON.stringify(lockedValue)) {
+            return { nameValue: lockedValue, locked: true };
+        }
+
+        this.warn({
+            kind: "lockDrift",
+            type,
+            logicalName,
+            message: `generated name ${JSON.stringify(result.nameValue)} of "${logicalName}" differs from the locked name ${JSON.stringify(lockedValue)}, which is kept`,
+        });
+
+        return { nameValue: lockedValue, locked: true, generatedValue: result.nameValue };
+    }
+
+    /**
+     * remembers the warning for the report, in strict mode the warning fails the naming instead
+     * @param {{ kind: String, message: String, type: String?, logicalName: String?, property: String? }} warning
+     */
+    warn(warning) {
+        if(this.config && this.config.strict) {
+            this.throwError(`strict mode: ${warning.message}`);
+        }
+
+        this.warnings.push(warning);
+    }
+
+    /**
+     * finds the first type specification that is applicable, where the ones specified in the config take precedence
+     * @param {TypeID} typeId
+     * @returns {TypeSpec|undefined}
+     */
+    findTypeSpec(typeId) {
+        return this.config.typeSpecs.concat(typeSpecs).find(spec => spec.isApplicable(typeId));
+    }
+
+    /**
+     * inserts names into the inline policies of the resource that have none specified,
+     * which are derived from the resource name and the key or content hash of the policy
+     * @param {Object} resources
+     * @param {String} logicalName
+     * @param {TypeSpec} typeSpec - specification of the resource type
+     */
+    applyPolicyNamesOnResource(resources, logicalName, typeSpec) {
+        const resource = resources[logicalName];
+        const policies = resource.Properties && resource.Properties["Policies"];
+
+        if(!Array.isArray(policies)) {
+            return;
+        }
+
+        const resourceName = typeSpec.getNamePropValue(resource.Properties);
+        const names = {};
+        const records = [];
+
+        policies.forEach((policy, idx) => {
+            const key = policy[inlinePolicyKeyProp];
+            delete policy[inlinePolicyKeyProp];
+
+            if(key !== undefined && (typeof key !== "string" || key.length === 0)) {
+                this.throwError(`property "${inlinePolicyKeyProp}" of policy ${idx} on resource "${logicalName}" must be a nonempty string`);
+            }
+
+            records.push({ index: idx, status: policy["PolicyName"] === undefined ? "generated" : "provided" });
+
+            if(policy["PolicyName"] === undefined) {
+                try {
+                    policy["PolicyName"] = inlinePolicyTypeSpec.getNameValue({
+                        element: policy,
+                        logicalElement: policy,
+                        logicalName,
+                        pluginConfig: {
+                            ...this.config,
+                            nameTemplate: this.config.inlinePolicyNames.template,
+                            typeNameTemplates: {},
+                            resourceNameTemplates: {},
+                            logicalNameReplacements: {},
+                            templateValues: {
+                                ...this.config.templateValues,
+                                resourceName: typeof resourceName === "string" ? resourceName : kebabCase(logicalName),
+                                policyKey: key || crypto.createHash("sha256")
+                                    .update(JSON.stringify(policy["PolicyDocument"] || {})).digest("hex").substr(0, 8),
+                            },
+                        },
+                    });
+                } catch(err) {
+                    this.throwError(`name generation failed on policy ${idx} of resource "${logicalName}": ${err.message}`);
+                }
+            }
+
+            const name = policy["PolicyName"];
+            records[idx].value = name;
+
+            const violation = inlinePolicyTypeSpec.getNameValueViolation(name);
+
+            if(violation) {
+                this.throwError(`name of policy ${idx} of resource "${logicalName}" is invalid: ${violation}`);
+            }
+
+            if(typeof name === "string") {
+                if(names[name] !== undefined) {
+                    this.throwError(`policies ${names[name]} and ${idx} of resource "${logicalName}" both use the name "${name}", specify the "${inlinePolicyKeyProp}" property on one of them`);
+                }
+
+                names[name] = idx;
+            }
+        });
+
+        if(this.records[logicalName]) {
+            this.records[logicalName].policies = records;
+        }
+    }
+
+    /**
+     * resolves the type specification of the resource, taking its naming hints into account
+     * @param {Object} resource
+     * @param {Object} templateResource - logical equivalent specified by the template
+     * @param {String} logicalName
+     * @returns {{ typeSpec: TypeSpec|undefined, hints: Object }}
+     */
+    resolveResourceTypeSpec(resource, templateResource, logicalName) {
+        // check if type is properly set
+        if(!resource.Type) {
+            this.throwError(`property "Type" is missing on resource "${logicalName}"`);
+        } else if(typeof resource.Type !== "string") {
+            this.throwError(`property "Type" must be string on resource "${logicalName}"`);
+        }
+
+        // retrieve the resource provider and type name with a regex
+        const m = /^(?<typeRoot>\w*)::(?<typeProvider>\w*)(::(?<typeName>\w*))?$/.exec(resource.Type);
+
+        if(!m) {
+            this.throwError(`property "Type" is of unknown format on resource "${logicalName}" that specifies it as "${resource.Type}"`);
+        }
+
+        // retrieve the regexp groups
+        const { groups: { typeRoot, typeProvider, typeName } } = m;
+
+        const typeId = new TypeID(typeRoot, typeProvider, typeName);
+        const hints = this.getResourceNameHints(resource, templateResource, logicalName);
+
+        // check type specs and find first one that is applicable
+        let typeSpec = this.findTypeSpec(typeId);
+
+        // let the resource choose the property the name is inserted into
+        if(hints.nameProp !== undefined) {
+            typeSpec = typeSpec ? typeSpec.extend(typeId, { namePropReplacement: hints.nameProp, noNameInsertion: false })
+                : new TypeSpec(typeId, { namePropReplacement: hints.nameProp });
+        }
+
+        return { typeSpec, hints };
+    }
+
+    applyOnResource(resources, templateResources, logicalName) {
+        const resource = resources[logicalName];
+        const templateResource = (templateResources || {})[logicalName] || {};
+
+        const { typeSpec, hints } = this.resolveResourceTypeSpec(resource, templateResource, logicalName);
+
+        const record = { logicalName, type: resource.Type };
+        this.records[logicalName] = record;
+
+        if(hints.skip) {
+            Object.assign(record, { status: "skipped", reason: "metadata" });
+
+            this.warn({
+                kind: "skippedName",
+                type: resource.Type,
+                logicalName,
+                message: `name generation of resource "${logicalName}" is skipped by its metadata`,
+            });
+            return;
+        }
+
+        if(typeSpec === undefined) {
+            Object.assign(record, { status: "skipped", reason: "unknown type" });
+
+            if(this.config.logMissingTypeBehaviourWarning || this.config.strict) {
+                this.warn({
+                    kind: "unknownType",
+                    type: resource.Type,
+                    logicalName,
+                    message: `behaviour for resource type "${resource.Type}" of resource "${logicalName}" is not specified in the type catalog`,
+                });
+            }
+        } else {
+            // apply found typespec
+
+            // make sure Properties field exists
+            resource["Properties"] = resource["Properties"] || {};
+
+            let result;
+
+            try {
+                result = typeSpec.applyType({
+                    element: resource["Properties"],
+                    logicalElement: templateResource["Properties"],
+                    logicalName,
+                    pluginConfig: this.applyResourceNameHints(this.config, logicalName, hints),
+                });
+            } catch(err) {
+                this.throwError(`name generation failed on resource "${logicalName}": ${err.message}`);
+            }
+
+            const locked = this.lock.resources[logicalName];
+
+            if(result && !result.provided && locked) {
+                if(locked.type === resource.Type) {
+                    result = this.applyLockedName(typeSpec, resource["Properties"], result, record, locked.name);
+                } else {
+                    this.warn({
+                        kind: "staleLock",
+                        type: resource.Type,
+                        logicalName,
+                        message: `locked name of resource "${logicalName}" is ignored, since it is locked for the type "${locked.type}"`,
+                    });
+                }
+            }
+
+            if(result) {
+                Object.assign(record, {
+                    nameProp: typeSpec.getNameProp(),
+                    value: result.nameValue,
+                    status: result.locked ? "locked" : result.provided ? "provided" : "generated",
+                });
+
+                if(result.generatedValue !== undefined) {
+                    record.generatedValue = result.generatedValue;
+                }
+
+                if(this.config.provenanceTags.enabled && !result.provided) {
+                    this.applyProvenanceTags(resource, typeSpec, logicalName, hints);
+                }
+            } else {
+                Object.assign(record, { status: "skipped", reason: "no name insertion" });
+            }
+
+            // check that the name fulfills the constraints of the type before it reaches CloudFormation
+            if(typeSpec.isNameInserted()) {
+                const violation = typeSpec.getNameValueViolation(typeSpec.getNamePropValue(resource["Properties"]));
+
+                if(violation) {
+                    this.throwError(`name of resource "${logicalName}" of type "${resource.Type}" is invalid: ${violation}`);
+                }
+            }
+
+            if(this.config.inlinePolicyNames.enabled && inlinePolicyTypes.includes(resource.Type)) {
+                this.applyPolicyNamesOnResource(resources, logicalName, typeSpec);
+            }
+        }
+    }
+
+    /**
+     * tags the resource with the logical name and prefix its name was generated from, if its type has tags,
+     * where tags already specified by the user are kept
+     * @param {Object} resource
+     * @param {TypeSpec} typeSpec - specification of the resource type
+     * @param {String} logicalName
+     * @param {Object} hints - naming hints of the resource
+     */
+    applyProvenanceTags(resource, typeSpec, logicalName, hints) {
+        if(typeSpec.tagsFormat === "none") {
+            return;
+        }
+
+        const { keyPrefix } = this.config.provenanceTags;
+        const pluginConfig = this.applyResourceNameHints(this.config, logicalName, hints);
+        const { prefix } = pluginConfig.templateValues;
+        const tags = { [`${keyPrefix}logical-id`]: logicalName };
+
+        // the prefix is only part of the name if the name template uses it
+        const tokens = parseNameTemplate(typeSpec.getNameTemplate({ logicalName, pluginConfig })).map(part => part.token);
+
+        if(tokens.includes("prefix") && prefix.length > 0) {
+            tags[`${keyPrefix}prefix`] = prefix;
+        }
+
+        tags[`${keyPrefix}generated`] = "true";
+
+        const reason = typeSpec.mergeTags(resource["Properties"], tags);
+
+        if(reason) {
+            this.warn({
+                kind: "untaggedResource",
+                type: resource.Type,
+                logicalName,
+                message: `provenance tags are not inserted into resource "${logicalName}", since ${reason}`,
+            });
+        }
+    }
+
+    /**
+     * retrieves the naming hints specified in the AwsAutoResourceNames metadata of the resource
+     * @param {Object} resource
+     * @param {Object} templateResource - logical equivalent specified by the template
+     * @param {String} logicalName
+     * @returns {{ skip: Boolean?, suffix: String?, prefix: String?, template: String?, nameProp: String? }}
+     */
+    getResourceNameHints(resource, templateResource, logicalName) {
+        const hints = (resource["Metadata"] || templateResource["Metadata"] || {})["AwsAutoResourceNames"];
+        const description = `metadata "AwsAutoResourceNames" on resource "${logicalName}"`;
+
+        if(hints === undefined) {
+            return {};
+        } else if(typeof hints !== "object" || hints === null || Array.isArray(hints)) {
+            this.throwError(`${description} must be an object`);
+        }
+
+        const { skip, suffix, prefix, template, nameProp, ...rest } = hints;
+
+        if(Object.keys(rest).length > 0) {
+            this.throwError(`${description} contains the unknown properties ${JSON.stringify(Object.keys(rest))}`);
+        }
+
+        if(skip !== undefined && typeof skip !== "boolean") {
+            this.throwError(`${description} property skip must be a boolean`);
+        }
+
+        [["suffix", suffix], ["nameProp", nameProp]].forEach(([prop, value]) => {
+            if(value !== undefined && (typeof value !== "string" || value.length === 0)) {
+                this.throwError(`${description} property ${prop} must be a nonempty string`);
+            }
+        });
+
+        if(prefix !== undefined && typeof prefix !== "string") {
+            this.throwError(`${description} property prefix must be a string`);
+        }
+
+        if(template !== undefined) {
+            this.checkNameTemplate(template, `${description} property template`);
+        }
+
+        return hints;
+    }
+
+    /**
+     * creates plugin config in which the naming hints of the resource are applied
+     * @param {Object} pluginConfig
+     * @param {String} logicalName
+     * @param {Object} hints - naming hints of the resource
+     * @returns {Object}
+     */
+    applyResourceNameHints(pluginConfig, logicalName, hints) {
+        const { suffix, prefix, template } = hints;
+
+        return {
+            ...pluginConfig,
+            templateValues: prefix === undefined ? pluginConfig.templateValues
+                : { ...pluginConfig.templateValues, prefix },
+            resourceNameTemplates: template === undefined ? pluginConfig.resourceNameTemplates
+                : { ...pluginConfig.resourceNameTemplates, [logicalName]: template },
+            logicalNameReplacements: suffix === undefined ? pluginConfig.logicalNameReplacements
+                : { ...pluginConfig.logicalNameReplacements, [logicalName]: suffix },
+        };
+    }
+
+    /**
+     * checks whether the output is selected for export by the include and exclude patterns of the exports config
+     * @param {String} logicalName
+     * @returns {boolean}
+     */
+    isOutputExported(logicalName) {
+        const { include, exclude } = this.config.exports;
+
+        return include.some(pattern => matchesPattern(logicalName, pattern))
+            && !exclude.some(pattern => matchesPattern(logicalName, pattern));
+    }
+
+    /**
+     * creates the plugin config used for export names, which are generated by the export prefix and templates
+     * @param {Object?} templateValues - template values replacing the ones of the service
+     * @param {Object?} resourceNameTemplates - export name templates by output logical name
+     * @returns {Object}
+     */
+    getExportPluginConfig(templateValues = {}, resourceNameTemplates = this.config.exports.templates) {
+        return {
+            ...this.config,
+            templateValues: {
+                ...this.config.templateValues,
+                prefix: this.config.exportPrefix === undefined ? this.config.prefix : this.config.exportPrefix,
+                ...templateValues,
+            },
+            nameTemplate: this.config.exportNameTemplate,
+            typeNameTemplates: {},
+            resourceNameTemplates,
+        };
+    }
+
+    /**
+     * inserts the export name into the output if it specifies an export without name or is selected for export
+     * @param {Object} outputs
+     * @param {String} logicalName
+     */
+    applyOnOutput(outputs, logicalName) {
+        const output = outputs[logicalName];
+
+        if(output["Export"] === undefined) {
+            if(!this.isOutputExported(logicalName)) {
+                return;
+            }
+
+            output["Export"] = {};
+        } else if(typeof output["Export"] !== "object" || output["Export"] === null || Array.isArray(output["Export"])) {
+            this.throwError(`property "Export" must be an object on output "${logicalName}"`);
+        }
+
+        let result;
+
+        try {
+            result = exportTypeSpec.applyType({
+                element: output["Export"],
+                logicalElement: output["Export"],
+                logicalName,
+                pluginConfig: this.getExportPluginConfig(),
+            });
+        } catch(err) {
+            this.throwError(`export name generation failed on output "${logicalName}": ${err.message}`);
+        }
+
+        const locked = this.lock.exports[logicalName];
+
+        if(!result.provided && locked) {
+            result = this.applyLockedName(exportTypeSpec, output["Export"], result, {
+                logicalName, type: exportTypeSpec.typeId.toString(),
+            }, locked.name);
+        }
+
+        this.exportRecords[logicalName] = {
+            logicalName,
+            value: result.nameValue,
+            status: result.locked ? "locked" : result.provided ? "provided" : "generated",
+        };
+
+        if(result.generatedValue !== undefined) {
+            this.exportRecords[logicalName].generatedValue = result.generatedValue;
+        }
+
+        const violation = exportTypeSpec.getNameValueViolation(result.nameValue);
+
+        if(violation) {
+            this.throwError(`export name of output "${logicalName}" is invalid: ${violation}`);
+        }
+    }
+
+    /**
+     * retrieves the export name the output of the other service is exported under, following the naming convention of this service,
+     * which requires the export name template to contain the service, since the name would be the one of this service otherwise
+     * @param {String} service - name of the service exporting the output
+     * @param {String} logicalName - logical name of the output
+     * @returns {String}
+     */
+    getImportName(service, logicalName) {
+        if(!parseNameTemplate(this.config.exportNameTemplate).some(part => part.token === "service")) {
+            this.throwError(`import of output "${logicalName}" of service "${service}" requires the export name template "${this.config.exportNameTemplate}" to contain the {service} token`);
+        }
+
+        try {
+            return exportTypeSpec.getNameValue({
+                element: {},
+                logicalElement: {},
+                logicalName,
+                pluginConfig: this.getExportPluginConfig({ service }, {}),
+            });
+        } catch(err) {
+            this.throwError(`import name generation failed on output "${logicalName}" of service "${service}": ${err.message}`);
+        }
+    }
+
+    applyOnCloudFormationTemplate(cfTemplate, template) {
+        const resources = cfTemplate["Resources"] || {};
+        const templateResources = (template["resources"] || {})["Resources"] || {};
+
+        // functions are named first, since the names of resources generated for them derive from their names
+        const functionRenames = this.applyOnFunctions(resources, templateResources, template);
+        const functionLogicalNames = functionRenames.map(({ logicalName }) => logicalName);
+        const frameworkTemplateResources = this.getFrameworkTemplateResources(resources, templateResources, functionRenames);
+
+        Object.keys(resources).filter(key => !functionLogicalNames.includes(key)).forEach((key) => {
+            this.applyOnResource(resources, { ...frameworkTemplateResources, ...templateResources }, key);
+        });
+
+        this.rewriteFunctionNameReferences(resources, templateResources, functionRenames);
+
+        if(this.config.generateExports) {
+            const outputs = cfTemplate["Outputs"] || {};
+
+            Object.keys(outputs).forEach((key) => {
+                this.applyOnOutput(outputs, key);
+            });
+        }
+
+        if(this.config.namePlaceholders) {
+            const names = this.getNameValues(cfTemplate, template);
+
+            this.resolveNamePlaceholders(cfTemplate["Resources"] || {}, names, "Resources");
+            this.resolveNamePlaceholders(cfTemplate["Outputs"] || {}, names, "Outputs");
+        }
+
+        this.checkCollisions(cfTemplate, template);
+    }
+
+    /**
+     * applies the names on the template and its nested stack templates as a whole, so that names do not depend on
+     * the stack a resource ends up in and collisions are detected across all stacks, outputs of nested stacks are not exported
+     * @param {Object} cfTemplate - root template
+     * @param {Object} nestedTemplates - nested stack templates by stack name
+     * @param {Object} template
+     * @returns {Object} - combined template, which shares its resources with the root and nested templates
+     */
+    applyOnNestedCloudFormationTemplates(cfTemplate, nestedTemplates, template) {
+        const stacks = {};
+        const resources = {};
+
+        [[undefined, cfTemplate]].concat(Object.keys(nestedTemplates).map(stack => [stack, nestedTemplates[stack]])).forEach(([stack, stackTemplate]) => {
+            Object.keys(stackTemplate["Resources"] || {}).forEach((logicalName) => {
+                if(resources[logicalName] !== undefined) {
+                    this.throwError(`resource "${logicalName}" is defined in the ${stacks[logicalName] === undefined ? "root" : `"${stacks[logicalName]}"`} `
+                        + `and the "${stack}" stack template`);
+                }
+
+                stacks[logicalName] = stack;
+                resources[logicalName] = stackTemplate["Resources"][logicalName];
+            });
+        });
+
+        const combinedTemplate = { ...cfTemplate, Resources: resources };
+
+        this.applyOnCloudFormationTemplate(combinedTemplate, template);
+
+        if(this.config.namePlaceholders) {
+            const names = this.getNameValues(combinedTemplate, template);
+
+            Object.keys(nestedTemplates).forEach((stack) => {
+                this.resolveNamePlaceholders(nestedTemplates[stack]["Outputs"] || {}, names, `${stack}.Outputs`);
+            });
+        }
+
+        Object.keys(stacks).filter(logicalName => stacks[logicalName] !== undefined && this.records[logicalName]).forEach((logicalName) => {
+            this.records[logicalName].stack = stacks[logicalName];
+        });
+
+        return combinedTemplate;
+    }
+
+    /**
+     * retrieves the logical name serverless uses for the function
+     * @param {String} key - key of the function in the functions config
+     * @returns {String}
+     */
+    getFunctionLogicalName(key) {
+        return this.naming ? this.naming.getLambdaLogicalId(key) : this.getNormalizedFunctionName(key) + "LambdaFunction";
+    }
+
+    /**
+     * retrieves the logical name serverless uses for the log group of the function
+     * @param {String} key - key of the function in the functions config
+     * @returns {String}
+     */
+    getFunctionLogGroupLogicalName(key) {
+        return this.naming ? this.naming.getLogGroupLogicalId(key) : this.getNormalizedFunctionName(key) + "LogGroup";
+    }
+
+    /**
+     * retrieves the name serverless gives the log group of a function, which derives from the function name
+     * @param {*} functionName
+     * @returns {String|undefined} - undefined if the function name is not known before deployment
+     */
+    getFunctionLogGroupName(functionName) {
+        return typeof functionName === "string" ? "/aws/lambda/" + functionName : undefined;
+    }
+
+    /**
+     * normalizes the function key the way serverless does for logical names
+     * @param {String} key - key of the function in the functions config
+     * @returns {String}
+     */
+    getNormalizedFunctionName(key) {
+        const name = key.replace(/-/g, "Dash").replace(/_/g, "Underscore");
+
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * names the lambda functions of the functions config in the template
+     * @param {Object} resources
+     * @param {Object} templateResources
+     * @param {Object} template
+     * @returns {Array<{ logicalName: String, key: String, previousName: *, name: * }>} - names before and after naming
+     */
+    applyOnFunctions(resources, templateResources, template) {
+        return Object.keys(template["functions"] || {}).map((key) => {
+            const logicalName = this.getFunctionLogicalName(key);
+            const resource = resources[logicalName];
+
+            if(!resource || resource.Type !== "AWS::Lambda::Function") {
+                return undefined;
+            }
+
+            const previousName = (resource["Properties"] || {})["FunctionName"];
+            this.applyOnResource(resources, templateResources, logicalName);
+
+            return { logicalName, key, previousName, name: resource["Properties"]["FunctionName"] };
+        }).filter(rename => rename !== undefined);
+    }
+
+    /**
+     * creates the logical equivalents of resources generated by serverless whose names are not generated by the plugin,
+     * which are the log groups of functions, whose names derive from the function names,
+     * the sns topics of function events, whose names are specified in the events config,
+     * and the rules of function events, whose names derive from the function names
+     * @param {Object} resources
+     * @param {Object} templateResources
+     * @param {Array<{ key: String, name: * }>} functionRenames
+     * @returns {Object} - logical equivalents by logical name
+     */
+    getFrameworkTemplateResources(resources, templateResources, functionRenames) {
+        const frameworkTemplateResources = {};
+
+        functionRenames.forEach(({ key, name }) => {
+            const logicalName = this.getFunctionLogGroupLogicalName(key);
+            const resource = resources[logicalName];
+
+            const logGroupName = this.getFunctionLogGroupName(name);
+
+            if(resource && resource.Type === "AWS::Logs::LogGroup" && logGroupName !== undefined) {
+                frameworkTemplateResources[logicalName] = { Properties: { LogGroupName: logGroupName } };
+            }
+        });
+
+        const functionKeys = functionRenames.map(({ key }) => key);
+
+        Object.keys(resources).filter(logicalName => (
+            !templateResources[logicalName] && this.isFunctionEventResource(logicalName, resources[logicalName].Type, functionKeys)
+        )).forEach((logicalName) => {
+            frameworkTemplateResources[logicalName] = { Properties: { ...resources[logicalName]["Properties"] } };
+        });
+
+        return frameworkTemplateResources;
+    }
+
+    /**
+     * checks if the resource is generated by serverless for a function event and keeps the name serverless gives it,
+     * which are the sns topics of function events and the rules of function events
+     * @param {String} logicalName
+     * @param {String} type
+     * @param {String[]} functionKeys - keys of the named functions in the functions config
+     * @returns {Boolean}
+     */
+    isFunctionEventResource(logicalName, type, functionKeys) {
+        if(type === "AWS::SNS::Topic") {
+            return /^SNSTopic/.test(logicalName);
+        }
+
+        return type === "AWS::Events::Rule" && functionKeys.some(key => ["EventBridgeRule", "EventsRule"].some(suffix => (
+            logicalName.startsWith(this.getNormalizedFunctionName(key) + suffix)
+        )));
+    }
+
+    /**
+     * rewrites references to the previous function names in resources generated by serverless,
+     * such as log group arns in the policies of the lambda execution role or names of event rules
+     * @param {Object} resources
+     * @param {Object} templateResources
+     * @param {Array<{ previousName: *, name: * }>} functionRenames
+     */
+    rewriteFunctionNameReferences(resources, templateResources, functionRenames) {
+        // longer names first, since function names may start with other function names
+        const renames = functionRenames.filter(({ previousName, name }) => (
+            typeof previousName === "string" && typeof name === "string" && previousName !== name
+        )).sort((a, b) => b.previousName.length - a.previousName.length);
+
+        if(renames.length === 0) {
+            return;
+        }
+
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const commonPrefix = names => names.reduce((prefix, name) => {
+            let idx = 0;
+            while(idx < prefix.length && prefix[idx] === name[idx]) {
+                idx++;
+            }
+            return prefix.substring(0, idx);
+        });
+
+        const prefix = commonPrefix(renames.map(({ name }) => name));
+
+        // names derived from a previous function name, such as the names of event rules, are split into the new function name and their suffix
+        const derive = (value) => {
+            const derived = renames.find(({ previousName }) => value === previousName || value.startsWith(previousName + "-"));
+
+            return derived && { name: derived.name, suffix: value.substring(derived.previousName.length) };
+        };
+
+        const rewrite = (value) => {
+            const derived = derive(value);
+
+            if(derived) {
+                return derived.name + derived.suffix;
+            }
+
+            renames.forEach(({ previousName, name }) => {
+                value = value.replace(new RegExp(`/aws/lambda/${escape(previousName)}(?=$|:)`, "g"), "/aws/lambda/" + name);
+            });
+
+            // log group wildcards covering all previous function names have to cover all new function names
+            return value.replace(/\/aws\/lambda\/([^*:]+)\*/g, (match, previousPrefix) => (
+                renames.every(({ previousName }) => previousName.startsWith(previousPrefix)) ? `/aws/lambda/${prefix}*` : match
+            ));
+        };
+
+        const rewriteElement = (element) => {
+            Object.keys(element).forEach((key) => {
+                if(typeof element[key] === "string") {
+                    element[key] = rewrite(element[key]);
+                } else if(typeof element[key] === "object" && element[key] !== null) {
+                    rewriteElement(element[key]);
+                }
+            });
+        };
+
+        Object.keys(resources).filter(logicalName => !templateResources[logicalName]).forEach((logicalName) => {
+            const resource = resources[logicalName];
+            const properties = resource["Properties"] || {};
+            const { typeSpec } = this.resolveResourceTypeSpec(resource, {}, logicalName);
+            const derived = typeSpec !== undefined && typeSpec.isNameInserted() && typeof typeSpec.getNamePropValue(properties) === "string"
+                ? derive(typeSpec.getNamePropValue(properties)) : undefined;
+
+            rewriteElement(properties);
+
+            // the new function name may be longer than the previous one, so the derived name is shortened and checked again
+            if(derived) {
+                let value;
+
+                try {
+                    value = typeSpec.shortenNameValue(derived.name, derived.suffix) + derived.suffix;
+                } catch(err) {
+                    this.throwError(`name generation failed on resource "${logicalName}": ${err.message}`);
+                }
+
+                const violation = typeSpec.getNameValueViolation(value);
+
+                if(violation) {
+                    this.throwError(`name of resource "${logicalName}" of type "${resource.Type}" is invalid: ${violation}`);
+                }
+
+                typeSpec.setNamePropValue(properties, value);
+
+                if(this.records[logicalName]) {
+                    this.records[logicalName].value = value;
+                }
+            }
+        });
+    }
+
+    /**
+     * retrieves the name property values of the named resources of the template
+     * @param {Object} cfTemplate
+     * @param {Object} template
+     * @returns {Object} - name values by logical name
+     */
+    getNameValues(cfTemplate, template) {
+        const resources = cfTemplate["Resources"] || {};
+        const templateResources = (template["resources"] || {})["Resources"] || {};
+        const names = {};
+
+        Object.keys(resources).forEach((logicalName) => {
+            const resource = resources[logicalName];
+            const { typeSpec } = this.resolveResourceTypeSpec(resource, templateResources[logicalName] || {}, logicalName);
+
+            if(typeSpec !== undefined && typeSpec.isNameInserted()) {
+                const value = typeSpec.getNamePropValue(resource["Properties"]);
+
+                if(value !== undefined) {
+                    names[logicalName] = value;
+                }
+            }
+        });
+
+        return names;
+    }
+
+    /**
+     * generates the name the resource is given when the template is named, which is the name it specifies if any,
+     * without changing the resource
+     * @param {String} logicalName
+     * @param {Object} resource - resource as specified by the template, of which at least the type is given
+     * @returns {*}
+     */
+    getResourceName(logicalName, resource) {
+        const resources = { [logicalName]: JSON.parse(JSON.stringify(resource)) };
+
+        this.applyOnResource(resources, { [logicalName]: resource }, logicalName);
+
+        const { value, reason } = this.records[logicalName];
+
+        if(value === undefined) {
+            this.throwError(`resource "${logicalName}" of type "${resource.Type}" is not named by the plugin (skipped: ${reason})`);
+        }
+
+        return value;
+    }
+
+    /**
+     * replaces the ${autoname:LogicalName} placeholders in all strings of the element by the names of the resources
+     * and the ${autoexport:Service:OutputName} placeholders by imports of the outputs of other services
+     * @param {Object|Array} element - element in which placeholders are replaced in place
+     * @param {Object} names - name values by logical name
+     * @param {String} location - path of the element used in error messages
+     */
+    resolveNamePlaceholders(element, names, location) {
+        const placeholderRegex = /\$\{autoname:(\w+)\}/g;
+
+        Object.keys(element).forEach((key) => {
+            const value = element[key];
+            const valueLocation = `${location}.${key}`;
+
+            if(typeof value === "string") {
+                const exportPlaceholder = /\$\{autoexport:([\w-]+):(\w+)\}/.exec(value);
+
+                if(exportPlaceholder) {
+                    if(exportPlaceholder[0] !== value) {
+                        this.throwError(`placeholder "${exportPlaceholder[0]}" at "${valueLocation}" is resolved to an import and can therefore only be used as the whole value`);
+                    }
+
+                    element[key] = { "Fn::ImportValue": this.getImportName(exportPlaceholder[1], exportPlaceholder[2]) };
+                    return;
+                }
+
+                const resolveName = (logicalName) => {
+                    if(names[logicalName] === undefined) {
+                        this.throwError(`placeholder "\${autoname:${logicalName}}" at "${valueLocation}" references no named resource`);
+                    }
+
+                    return names[logicalName];
+                };
+
+                const whole = /^\$\{autoname:(\w+)\}$/.exec(value);
+
+                if(whole) {
+                    // intrinsic function names can only be inserted as a whole
+                    element[key] = resolveName(whole[1]);
+                } else {
+                    element[key] = value.replace(placeholderRegex, (match, logicalName) => {
+                        const name = resolveName(logicalName);
+
+                        if(typeof name !== "string") {
+                            this.throwError(`placeholder "${match}" at "${valueLocation}" references a name that is not a string and can therefore only be used as the whole value`);
+                        }
+
+                        return name;
+                    });
+                }
+            } else if(typeof value === "object" && value !== null) {
+                this.resolveNamePlaceholders(value, names, valueLocation);
+            }
+        });
+    }
+
+    /**
+     * collects the names of the resources and output exports of the template
+     * @param {Object} cfTemplate
+     * @param {Object} template
+     * @returns {Array<{ logicalName: String, name: String, namespace: String, caseInsensitive: Boolean }>}
+     */
+    collectNames(cfTemplate, template) {
+        const resources = cfTemplate["Resources"] || {};
+        const outputs = cfTemplate["Outputs"] || {};
+        const templateResources = (template["resources"] || {})["Resources"] || {};
+        const entries = [];
+
+        const addEntry = (logicalName, typeSpec, name) => {
+            // intrinsic functions can only be resolved by CloudFormation
+            if(typeof name === "string") {
+                entries.push({
+                    logicalName,
+                    name,
+                    namespace: typeSpec.getNamespace(),
+                    caseInsensitive: typeSpec.caseInsensitiveNames,
+                });
+            }
+        };
+
+        Object.keys(resources).forEach((logicalName) => {
+            const resource = resources[logicalName];
+            const { typeSpec, hints } = this.resolveResourceTypeSpec(resource, templateResources[logicalName] || {}, logicalName);
+
+            if(!hints.skip && typeSpec !== undefined && typeSpec.isNameInserted()) {
+                addEntry(logicalName, typeSpec, typeSpec.getNamePropValue(resource["Properties"]));
+            }
+        });
+
+        Object.keys(outputs).forEach((logicalName) => {
+            addEntry(logicalName, exportTypeSpec, exportTypeSpec.getNamePropValue(outputs[logicalName]["Export"]));
+        });
+
+        return entries;
+    }
+
+    /**
+     * fails if names are used more than once within a namespace or are already used elsewhere
+     * @param {Object} cfTemplate
+     * @param {Object} template
+     */
+    checkCollisions(cfTemplate, template) {
+        const { enabled, existingNames } = this.config.collisionCheck;
+
+        if(!enabled) {
+            return;
+        }
+
+        const seen = {};
+
+        this.collectNames(cfTemplate, template).forEach(({ logicalName, name, namespace, caseInsensitive }) => {
+            const toKey = value => caseInsensitive ? value.toLowerCase() : value;
+            const key = toKey(name);
+
+            seen[namespace] = seen[namespace] || {};
+            const other = seen[namespace][key];
+
+            if(other) {
+                this.throwError(`"${other.logicalName}" and "${logicalName}" both use the name "${name}" in namespace "${namespace}"`);
+            }
+
+            seen[namespace][key] = { logicalName };
+
+            if((existingNames[namespace] || []).some(existing => toKey(existing) === key)) {
+                this.throwError(`"${logicalName}" uses the name "${name}", which is already used in namespace "${namespace}"`);
+            }
+        });
+    }
+
+    /**
+     * finds the resources whose name property value differs from the previously deployed template,
+     * which causes CloudFormation to replace them
+     * @param {Object} previousTemplate
+     * @param {Object} cfTemplate
+     * @param {Object} template
+     * @returns {Array<{ logicalName: String, type: String, nameProp: String, previousValue: *, value: * }>}
+     */
+    findRenames(previousTemplate, cfTemplate, template) {
+        const previousResources = previousTemplate["Resources"] || {};
+        const resources = cfTemplate["Resources"] || {};
+        const templateResources = (template["resources"] || {})["Resources"] || {};
+
+        return Object.keys(resources).filter((logicalName) => {
+            const previousResource = previousResources[logicalName];
+
+            return previousResource && previousResource.Type === resources[logicalName].Type;
+        }).map((logicalName) => {
+            const resource = resources[logicalName];
+            const { typeSpec, hints } = this.resolveResourceTypeSpec(resource, templateResources[logicalName] || {}, logicalName);
+
+            if(hints.skip || typeSpec === undefined || !typeSpec.isNameInserted()) {
+                return undefined;
+            }
+
+            const previousValue = typeSpec.getNamePropValue(previousResources[logicalName]["Properties"]);
+            const value = typeSpec.getNamePropValue(resource["Properties"]);
+
+            if(JSON.stringify(previousValue) === JSON.stringify(value)) {
+                return undefined;
+            }
+
+            return { logicalName, type: resource.Type, nameProp: typeSpec.getNameProp(), previousValue, value };
+        }).filter(rename => rename !== undefined);
+    }
+
+    /**
+     * creates the report of the names computed for the template
+     * @param {Object} cfTemplate - template the names have been applied on
+     * @param {Object} template
+     * @param {Object?} previousTemplate - previously deployed template the names are compared with
+     * @returns {Object}
+     */
+    createReport(cfTemplate, template, previousTemplate) {
+        const records = Object.keys(cfTemplate["Resources"] || {})
+            .filter(logicalName => this.records[logicalName])
+            .map(logicalName => this.records[logicalName]);
+        const resources = records.map(({ policies, ...record }) => record);
+        const policies = records.reduce((result, { logicalName, policies = [] }) => (
+            result.concat(policies.map(policy => ({ logicalName, ...policy })))
+        ), []);
+        const exports = Object.keys(cfTemplate["Outputs"] || {})
+            .filter(logicalName => this.exportRecords[logicalName])
+            .map(logicalName => this.exportRecords[logicalName]);
+
+        const renames = previousTemplate ? this.findRenames(previousTemplate, cfTemplate, template) : undefined;
+        const count = (records, ...statuses) => records.filter(record => statuses.includes(record.status)).length;
+        const drift = resources.concat(exports.map(record => ({ ...record, type: exportTypeSpec.typeId.toString() })))
+            .filter(({ generatedValue }) => generatedValue !== undefined)
+            .map(({ logicalName, type, value, generatedValue }) => ({ logicalName, type, lockedValue: value, generatedValue }));
+
+        return {
+            service: this.config.templateValues.service,
+            stage: this.config.templateValues.stage,
+            region: this.config.templateValues.region,
+            specificationVersion: catalog.specificationVersion,
+            summary: {
+                unnamed: count(resources, "generated", "locked"),
+                provided: count(resources, "provided"),
+                skipped: count(resources, "skipped"),
+                unnamedPolicies: count(policies, "generated"),
+                unexported: count(exports, "generated", "locked"),
+                renamed: (renames || []).length,
+                locked: count(resources, "locked") + count(exports, "locked"),
+                drifted: drift.length,
+            },
+            resources,
+            policies,
+            exports,
+            renames,
+            drift,
+            warnings: this.warnings,
+        };
+    }
+
+    /**
+     * fails if the audit mode is configured to fail on resources of supported types without names and the report contains any
+     * @param {Object} report
+     */
+    checkUnnamed(report) {
+        const names = report.resources.filter(({ status }) => ["generated", "locked"].includes(status)).map(({ logicalName }) => logicalName);
+
+        if(this.config.mode === "audit" && this.config.audit.failOnUnnamed && names.length > 0) {
+            this.throwError(`audit found resources of supported types without names: ${names.join(", ")}`);
+        }
+    }
+
+    /**
+     * throws formatted error with given message and optional passed error as its cause
+     * @param {String} msg
+     * @param {*?} err
+     */
+    throwError(msg, err) {
+        throwError(msg, err);
+    }
+
+    /**
+     * throws formatted error if the name template is invalid
+     * @param {*} template
+     * @param {String} description - description of the template used in the error message
+     */
+    checkNameTemplate(template, description) {
+        try {
+            parseNameTemplate(template);
+        } catch(err) {
+            this.throwError(`${description} is invalid: ${err.message}`);
+        }
+    }
+
+    /**
+     * creates the type specifications declared in the types config,
+     * which extend the built-in specification of the type if one exists
+     * @param {Object} types - type options by resource type
+     * @returns {TypeSpec[]}
+     */
+    createConfigTypeSpecs(types) {
+        if(typeof types !== "object" || types === null || Array.isArray(types)) {
+            this.throwError("config types property must be an object");
+        }
+
+        return Object.keys(types).map((type) => {
+            const typeId = TypeID.parse(type);
+            const description = `config types property "${type}"`;
+
+            if(!typeId) {
+                this.throwError(`${description} is not a resource type of format "Root::Provider::Name"`);
+            }
+
+            const baseSpec = typeSpecs.find(spec => spec.typeId.toString() === typeId.toString());
+            let options;
+
+            try {
+                options = parseTypeOptions(types[type], baseSpec && baseSpec.nameConverter);
+            } catch(err) {
+                this.throwError(`${description} ${err.message}`);
+            }
+
+            return baseSpec ? baseSpec.extend(typeId, options) : new TypeSpec(typeId, options);
+        });
+    }
+
+    /**
+     * checks the config and creates the config used for naming from it
+     * @param {Object} config
+     */
+    initializeConfig(config) {
+        if(typeof config !== "object" || config === null || Array.isArray(config)) {
+            this.throwError("config must be an object");
+        }
+
+        const {
+            prefix = "",
+            exportPrefix = undefined,
+            generateExports = false,
+            removeLambdaFunctionSuffix = true,
+            appendDotFifoToFifoSqsQueues = true,
+            logMissingTypeBehaviourWarning = true,
+            nameTemplate = "{prefix}{logicalName}",
+            exportNameTemplate = nameTemplate,
+            typeNameTemplates = {},
+            resourceNameTemplates = {},
+            accountAlias = undefined,
+            types = {},
+            renameCheck = {},
+            collisionCheck = {},
+            namePlaceholders = false,
+            qualifyScopedNames = false,
+            accountId = undefined,
+            inlinePolicyNames = {},
+            mode = "apply",
+            audit = {},
+            exports: exportsConfig = {},
+            nestedStacks = {},
+            lockfile = defaultLockfile,
+            provenanceTags = {},
+            service = undefined,
+            stage = "dev",
+            region = "us-east-1",
+            strict = false,
+            ...ignoredConfig
+        } = config;
+
+        const usesDefaultNameTemplate = config["nameTemplate"] === undefined;
+
+        // check prefix property
+        if(typeof prefix !== "string") {
+            this.throwError("config prefix property must be string");
+        } else if(prefix.length === 0 && usesDefaultNameTemplate) {
+            this.throwError("config prefix property must be nonempty when no name template is specified");
+        }
+
+        // check name template properties
+        this.checkNameTemplate(nameTemplate, "config name template property");
+        this.checkNameTemplate(exportNameTemplate, "config export name template property");
+
+        [["typeNameTemplates", typeNameTemplates], ["resourceNameTemplates", resourceNameTemplates]].forEach(([prop, templates]) => {
+            if(typeof templates !== "object" || templates === null || Array.isArray(templates)) {
+                this.throwError(`config ${prop} property must be an object`);
+            }
+
+            Object.keys(templates).forEach((key) => {
+                this.checkNameTemplate(templates[key], `config ${prop} property "${key}"`);
+            });
+        });
+
+        // check account alias property
+        if(accountAlias !== undefined && typeof accountAlias !== "string") {
+            this.throwError("config account alias property must be string");
+        }
+
+        // check export prefix property
+        if(exportPrefix !== undefined && typeof exportPrefix !== "string") {
+            this.throwError("config output prefix property must be string");
+        } else if(exportPrefix !== undefined && exportPrefix.length === 0) {
+            this.throwError("config output prefix property must be non empty or undefined");
+        }
+
+        // check lambda function suffix removal property
+        if(typeof removeLambdaFunctionSuffix !== "boolean") {
+            this.throwError("config remove lambda function suffix property must be a boolean");
+        }
+
+        // check logMissingTypeBehaviourWarning property
+        if(typeof logMissingTypeBehaviourWarning !== "boolean") {
+            this.throwError("config log missing type behaviour warning property must be a boolean");
+        }
+
+        // check appendDotFifoToFifoSqsQueues property
+        if(typeof appendDotFifoToFifoSqsQueues !== "boolean") {
+            this.throwError("config append dot fifo to fifo sqs queues property must be a boolean");
+        }
+
+        // check renameCheck property
+        if(typeof renameCheck !== "object" || renameCheck === null || Array.isArray(renameCheck)) {
+            this.throwError("config rename check property must be an object");
+        }
+
+        const { enabled: renameCheckEnabled = true, previousTemplate, allow: renameCheckAllow = [], ...renameCheckRest } = renameCheck;
+
+        if(Object.keys(renameCheckRest).length > 0) {
+            this.throwError(`config rename check property contains the unknown properties ${JSON.stringify(Object.keys(renameCheckRest))}`);
+        } else if(typeof renameCheckEnabled !== "boolean") {
+            this.throwError("config rename check enabled property must be a boolean");
+        } else if(previousTemplate !== undefined && (typeof previousTemplate !== "string" || previousTemplate.length === 0)) {
+            this.throwError("config rename check previous template property must be a nonempty string");
+        } else if(!Array.isArray(renameCheckAllow) || renameCheckAllow.some(name => typeof name !== "string")) {
+            this.throwError("config rename check allow property must be a list of logical resource names");
+        }
+
+        // check qualifyScopedNames property
+        if(typeof qualifyScopedNames !== "boolean") {
+            this.throwError("config qualify scoped names property must be a boolean");
+        }
+
+        // check account id property
+        if(accountId !== undefined && (typeof accountId !== "string" || !/^\d{12}$/.test(accountId))) {
+            this.throwError("config account id property must be a string of 12 digits");
+        }
+
+        // check inlinePolicyNames property
+        if(typeof inlinePolicyNames !== "object" || inlinePolicyNames === null || Array.isArray(inlinePolicyNames)) {
+            this.throwError("config inline policy names property must be an object");
+        }
+
+        const {
+            enabled: inlinePolicyNamesEnabled = true,
+            template: inlinePolicyNameTemplate = "{resourceName}-{policyKey}",
+            ...inlinePolicyNamesRest
+        } = inlinePolicyNames;
+
+        if(Object.keys(inlinePolicyNamesRest).length > 0) {
+            this.throwError(`config inline policy names property contains the unknown properties ${JSON.stringify(Object.keys(inlinePolicyNamesRest))}`);
+        } else if(typeof inlinePolicyNamesEnabled !== "boolean") {
+            this.throwError("config inline policy names enabled property must be a boolean");
+        }
+
+        try {
+            parseNameTemplate(inlinePolicyNameTemplate, inlinePolicyTemplateTokens);
+        } catch(err) {
+            this.throwError(`config inline policy names template property is invalid: ${err.message}`);
+        }
+
+        // check namePlaceholders property
+        if(typeof namePlaceholders !== "boolean") {
+            this.throwError("config name placeholders property must be a boolean");
+        }
+
+        // check collisionCheck property
+        if(typeof collisionCheck !== "object" || collisionCheck === null || Array.isArray(collisionCheck)) {
+            this.throwError("config collision check property must be an object");
+        }
+
+        const { enabled: collisionCheckEnabled = true, existingNames = {}, ...collisionCheckRest } = collisionCheck;
+
+        if(Object.keys(collisionCheckRest).length > 0) {
+            this.throwError(`config collision check property contains the unknown properties ${JSON.stringify(Object.keys(collisionCheckRest))}`);
+        } else if(typeof collisionCheckEnabled !== "boolean") {
+            this.throwError("config collision check enabled property must be a boolean");
+        } else if(typeof existingNames !== "object" || existingNames === null || Array.isArray(existingNames)
+            || Object.keys(existingNames).some(namespace => (
+                !Array.isArray(existingNames[namespace]) || existingNames[namespace].some(name => typeof name !== "string")
+            ))) {
+            this.throwError("config collision check existing names property must map namespaces to lists of names");
+        }
+
+        // check strict property
+        if(typeof strict !== "boolean") {
+            this.throwError("config strict property must be a boolean");
+        }
+
+        // check mode property
+        if(!modes.includes(mode)) {
+            this.throwError(`config mode property must be one of ${JSON.stringify(modes)}`);
+        }
+
+        // check service, stage and region properties
+        [["service", service], ["stage", stage], ["region", region]].forEach(([prop, value]) => {
+            if(value !== undefined && (typeof value !== "string" || value.length === 0)) {
+                this.throwError(`config ${prop} property must be a nonempty string`);
+            }
+        });
+
+        // check audit property
+        if(typeof audit !== "object" || audit === null || Array.isArray(audit)) {
+            this.throwError("config audit property must be an object");
+        }
+
+        const { failOnUnnamed = false, ...auditRest } = audit;
+
+        if(Object.keys(auditRest).length > 0) {
+            this.throwError(`config audit property contains the unknown properties ${JSON.stringify(Object.keys(auditRest))}`);
+        } else if(typeof failOnUnnamed !== "boolean") {
+            this.throwError("config audit fail on unnamed property must be a boolean");
+        }
+
+        // check exports property
+        if(typeof exportsConfig !== "object" || exportsConfig === null || Array.isArray(exportsConfig)) {
+            this.throwError("config exports property must be an object");
+        }
+
+        const { include: exportsInclude = ["*"], exclude: exportsExclude = [], templates: exportsTemplates = {}, ...exportsRest } = exportsConfig;
+
+        if(Object.keys(exportsRest).length > 0) {
+            this.throwError(`config exports property contains the unknown properties ${JSON.stringify(Object.keys(exportsRest))}`);
+        }
+
+        [["include", exportsInclude], ["exclude", exportsExclude]].forEach(([prop, patterns]) => {
+            if(!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== "string" || pattern.length === 0)) {
+                this.throwError(`config exports ${prop} property must be a list of output logical name patterns`);
+            }
+        });
+
+        if(typeof exportsTemplates !== "object" || exportsTemplates === null || Array.isArray(exportsTemplates)) {
+            this.throwError("config exports templates property must be an object");
+        }
+
+        Object.keys(exportsTemplates).forEach((key) => {
+            this.checkNameTemplate(exportsTemplates[key], `config exports templates property "${key}"`);
+        });
+
+        // check nestedStacks property
+        if(typeof nestedStacks !== "object" || nestedStacks === null || Array.isArray(nestedStacks)) {
+            this.throwError("config nested stacks property must be an object");
+        }
+
+        const {
+            enabled: nestedStacksEnabled = true,
+            templates: nestedStackTemplates = defaultNestedStackTemplates,
+            ...nestedStacksRest
+        } = nestedStacks;
+
+        if(Object.keys(nestedStacksRest).length > 0) {
+            this.throwError(`config nested stacks property contains the unknown properties ${JSON.stringify(Object.keys(nestedStacksRest))}`);
+        } else if(typeof nestedStacksEnabled !== "boolean") {
+            this.throwError("config nested stacks enabled property must be a boolean");
+        } else if(!Array.isArray(nestedStackTemplates) || nestedStackTemplates.some(pattern => typeof pattern !== "string" || pattern.length === 0)) {
+            this.throwError("config nested stacks templates property must be a list of template file name patterns");
+        }
+
+        // check lockfile property
+        if(typeof lockfile !== "string" || lockfile.length === 0) {
+            this.throwError("config lockfile property must be a nonempty string");
+        }
+
+        // check provenanceTags property
+        if(typeof provenanceTags !== "object" || provenanceTags === null || Array.isArray(provenanceTags)) {
+            this.throwError("config provenance tags property must be an object");
+        }
+
+        const { enabled: provenanceTagsEnabled = false, keyPrefix: provenanceTagsKeyPrefix = "auto-name:", ...provenanceTagsRest } = provenanceTags;
+
+        if(Object.keys(provenanceTagsRest).length > 0) {
+            this.throwError(`config provenance tags property contains the unknown properties ${JSON.stringify(Object.keys(provenanceTagsRest))}`);
+        } else if(typeof provenanceTagsEnabled !== "boolean") {
+            this.throwError("config provenance tags enabled property must be a boolean");
+        } else if(typeof provenanceTagsKeyPrefix !== "string" || provenanceTagsKeyPrefix.length === 0
+            || provenanceTagsKeyPrefix.toLowerCase().startsWith("aws:")) {
+            this.throwError("config provenance tags key prefix property must be a nonempty string not starting with \"aws:\"");
+        }
+
+        // check types property and create the type specifications declared by it
+        const configTypeSpecs = this.createConfigTypeSpecs(types);
+
+        // set the generated config
+        this.config = {
+            prefix,
+            exportPrefix,
+            nameTemplate,
+            exportNameTemplate,
+            typeNameTemplates,
+            resourceNameTemplates,
+            typeSpecs: configTypeSpecs,
+            renameCheck: { enabled: renameCheckEnabled, previousTemplate, allow: renameCheckAllow },
+            collisionCheck: { enabled: collisionCheckEnabled, existingNames },
+            namePlaceholders,
+            qualifyScopedNames,
+            accountId,
+            inlinePolicyNames: { enabled: inlinePolicyNamesEnabled, template: inlinePolicyNameTemplate },
+            exports: { include: exportsInclude, exclude: exportsExclude, templates: exportsTemplates },
+            nestedStacks: { enabled: nestedStacksEnabled, templates: nestedStackTemplates },
+            lockfile,
+            provenanceTags: { enabled: provenanceTagsEnabled, keyPrefix: provenanceTagsKeyPrefix },
+            mode,
+            audit: { failOnUnnamed },
+            templateValues: {
+                prefix,
+                service,
+                stage,
+                region,
+                accountAlias,
+            },
+            generateExports,
+            removeLambdaFunctionSuffix,
+            logMissingTypeBehaviourWarning,
+            appendDotFifoToFifoSqsQueues,
+            strict,
+        };
+
+        Object.keys(ignoredConfig).forEach((property) => {
+            this.warn({ kind: "ignoredConfigProperty", property, message: `config property "${property}" is unknown and therefore ignored` });
+        });
+    }
+}
+
+// version of the cloudformation resource specification the type catalog is built from
+AutoNames.specificationVersion = catalog.specificationVersion;
+
+/**
+ * applies the names on a copy of the cloudformation template and its nested stack templates,
+ * in audit mode the templates are left unchanged except for the removed inline policy keys
+ * @param {Object} template - cloudformation template
+ * @param {Object?} config - naming config, including the service, stage and region of the template
+ * @param {{ service: Object?, previousTemplate: Object?, naming: Object?, nestedTemplates: Object?, lock: Object? }?} context - serverless
+ * service config the template is compiled from, which defaults to the template itself so that specified names are kept,
+ * previously deployed template the names are compared with, naming utilities of the serverless aws provider,
+ * nested stack templates by stack name and the names locked for the stage and region
+ * @returns {{ template: Object, nestedTemplates: Object, report: Object }}
+ */
+function applyAutoNames(template, config = {}, { service, previousTemplate, naming, nestedTemplates = {}, lock } = {}) {
+    const autoNames = new AutoNames(config, { naming, lock });
+    const copy = value => JSON.parse(JSON.stringify(value));
+    const namedTemplate = copy(template);
+    const namedNestedTemplates = copy(nestedTemplates);
+
+    // without serverless service the templates are written by the user, therefore their resources are the logical ones
+    const logicalTemplate = service || {
+        resources: {
+            Resources: copy(Object.assign({},
+                ...Object.keys(nestedTemplates).map(stack => nestedTemplates[stack]["Resources"] || {}),
+                template["Resources"] || {}
+            )),
+        },
+    };
+
+    const combinedTemplate = autoNames.applyOnNestedCloudFormationTemplates(namedTemplate, namedNestedTemplates, logicalTemplate);
+    const audit = autoNames.config.mode === "audit";
+    const result = {
+        template: audit ? copy(template) : namedTemplate,
+        nestedTemplates: audit ? copy(nestedTemplates) : namedNestedTemplates,
+        report: autoNames.createReport(combinedTemplate, logicalTemplate, previousTemplate),
+    };
+
+    [result.template].concat(Object.values(result.nestedTemplates)).forEach(removeInlinePolicyKeys);
+
+    return result;
+}
+
+module.exports = {
+    AutoNames,
+    TypeID,
+    TypeSpec,
+    applyAutoNames,
+    matchesPattern,
+    modes,
+    throwError,
+};
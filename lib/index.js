@@ -1,356 +1,163 @@
-const { kebabCase } = require("change-case");
 const fs = require("fs");
 const path = require("path");
+const { AutoNames, applyAutoNames, matchesPattern, modes, throwError } = require("./auto-names");
+const { formatLockfile, getLockedNames, lockNames, moveLockedNames, parseLockfile } = require("./lock");
+const { formatMarkdownReport, formatWarningSummary } = require("./report");
+const { formatTable } = require("./table");
 
-// defines type identifier
-class TypeID {
-    constructor(root, provider, name) {
-        this.root = root;
-        this.provider = provider;
-        this.name = name;
-    }
-
-    /**
-     * checks whether identifiers are equal
-     * @param {TypeID} a
-     * @param {TypeID} b
-     * @returns {boolean}
-     */
-    static equal(a, b) {
-        return (a.root === b.root || a.root === "*" || b.root === "*")
-            && (a.provider === b.provider || a.provider === "*" || b.provider === "*")
-            && (a.name === b.name || a.name === "*" || b.name === "*");
-    }
-}
-
-// defines behaviour when inserting the resource name for resources of a specific type provider and type name
-class TypeSpec {
-    /**
-     * @param {TypeID} typeId
-     * @param {Object?} options
-     * @param {Function?} options.nameConverter - converts final name before usage
-     * @param {Function?} options.logicalNameConverter - converts the logical name into the suffix used
-     * @param {Boolean?} options.namePropIncludesTypeName - whether the type uses the type name when deciding the type name property
-     * @param {Boolean?} options.noNameInsertion - whether auto generated name should be generated on this type
-     * @param {String?} options.namePropReplacement - used instead of name prop generation if specified
-     */
-    constructor(typeId, options = {}) {
-        const {
-            nameConverter = ({ value }) => value,
-            logicalNameConverter = ({ value }) => kebabCase(value),
-            namePropIncludesTypeName = true,
-            noNameInsertion = false,
-            namePropReplacement = undefined,
-            ...rest
-        } = options;
-
-        if(Object.keys(rest).length > 0) {
-            throw new Error(JSON.stringify(Object.keys(rest)) + " Invalid TypeSpec Options");
-        }
-
-        this.typeId = typeId;
-        this.nameConverter = nameConverter;
-        this.logicalNameConverter = logicalNameConverter;
-        this.namePropIncludesTypeName = namePropIncludesTypeName;
-        this.noNameInsertion = noNameInsertion;
-        this.namePropReplacement = namePropReplacement;
-    }
-
-    /**
-     * generates property name where the generated name value is inserted
-     * @returns {string}
-     */
-    getNameProp() {
-        return this.namePropReplacement || (this.namePropIncludesTypeName ? this.typeId.name + "Name" : "Name");
-    }
-
-    /**
-     * generates resource name based on the given prefix and logical name
-     * @param {Object} params
-     * @param {Object} params.element - element on which name is inserted
-     * @param {Object?} params.logicalElement - logical equivalent specified by the template
-     * @param {String} params.logicalName
-     * @param {Object} params.pluginConfig - config object used in plugin
-     * @returns {*}
-     */
-    getNameValue({ element, logicalElement, logicalName, pluginConfig }) {
-        return this.nameConverter({
-            value: pluginConfig.prefix + this.logicalNameConverter({
-                value: logicalName, element, logicalElement, logicalName, pluginConfig
-            }),
-            element, logicalElement, logicalName, pluginConfig,
-        });
-    }
-
-    /**
-     * checks if this specification applies for typeId
-     * @param {TypeID} typeId
-     * @returns {boolean}
-     */
-    isApplicable(typeId) {
-        return TypeID.equal(this.typeId, typeId);
-    }
-
-    /**
-     * applies name insertion
-     * @param {Object} params
-     * @param {Object} params.element - element on which name is inserted
-     * @param {Object?} params.logicalElement - logical equivalent specified by the template
-     * @param {String} params.logicalName
-     * @param {Object} params.pluginConfig - config object used in plugin
-     */
-    applyType({ element, logicalElement, logicalName, pluginConfig }) {
-        if(this.isNameInserted()) {
-            const namePropNested = this.getNameProp().split(".");
-
-            const defaultNameValue = namePropNested.reduce(
-                (prev, val) => {
-                   return prev === undefined ? undefined : prev[val];
-                }, logicalElement || {}
-            );
-
-            const nameValue = defaultNameValue
-                || this.getNameValue({ element, logicalElement, logicalName, pluginConfig });
-
-            namePropNested.reduce((prev, val, idx) => {
-                if(!prev[val]) {
-                    prev[val] = {};
-                }
-
-                if(idx === namePropNested.length - 1) {
-                    prev[val] = nameValue;
-                } else {
-                    return prev[val];
-                }
-            }, element);
-        }
-    }
+class ServerlessAwsAutoResourceNamesPlugin {
+    constructor(serverless, options, { log, writeText } = {}) {
+        // log and writeText are the logging utilities of serverless v3, which are missing in earlier versions
+        this.environment = { serverless, options, log, writeText };
 
-    /**
-     * checks whether name insertion should be performed for this type
-     */
-    isNameInserted() {
-        return !this.noNameInsertion;
-    }
-}
+        // warnings of all hooks by their content, which are printed once as summary
+        this.warnings = new Map();
+        this.printedWarnings = new Set();
 
-// list of custom type behaviour specifications
-const typeSpecs = [
-    // ASK
-    new TypeSpec(new TypeID("Alexa", "ASK", "Skill"), { namePropIncludesTypeName: false }),
-
-    // AmazonMQ
-    new TypeSpec(new TypeID("AWS", "AmazonMQ", "Broker")),
-    new TypeSpec(new TypeID("AWS", "AmazonMQ", "Configuration"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "AmazonMQ", "ConfigurationAssociation"), { noNameInsertion: true }),
-
-    // Amplify Console
-    new TypeSpec(new TypeID("AWS", "Amplify", "App"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "Amplify", "Branch"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Amplify", "Domain"), { noNameInsertion: true }),
-
-    // AWS Backup
-    new TypeSpec(new TypeID("AWS", "Backup", "BackupVault")),
-    new TypeSpec(
-        new TypeID("AWS", "Backup", "BackupPlan"),
-        { namePropReplacement: "BackupPlan.BackupPlanName" },
-    ),
-    new TypeSpec(
-        new TypeID("AWS", "Backup", "BackupSelection"),
-        { namePropReplacement: "BackupSelection.SelectionName" },
-    ),
-
-    // KMS
-    new TypeSpec(new TypeID("AWS", "KMS", "Alias")),
-    new TypeSpec(new TypeID("AWS", "KMS", "Key"), { noNameInsertion: true }),
-
-    // API Gateway
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "Account"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "ApiKey"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "Authorizer"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "BasePathMapping"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "ClientCertificate"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "Deployment"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "DocumentationPart"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "DocumentationVersion"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "DomainName"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "GatewayResponse"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "Method"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "Model"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "RequestValidator"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "Resource"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "RestApi"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "Stage"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "UsagePlan")),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "UsagePlanKey"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGateway", "VpcLink"), { namePropIncludesTypeName: false }),
-
-    // API Gateway V2
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "Api"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "ApiMapping"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "Authorizer"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "Deployment"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "DomainName"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "Integration"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "IntegrationResponse"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "Model"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "Route"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "RouteResponse"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApiGatewayV2", "Stage"), { noNameInsertion: true }),
-
-    // Application Auto Scaling
-    new TypeSpec(new TypeID("AWS", "ApplicationAutoScaling", "ScalableTarget"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "ApplicationAutoScaling", "ScalingPolicy"), { namePropReplacement: "PolicyName" }),
-
-    // AppSync
-    new TypeSpec(new TypeID("AWS", "AppSync", "ApiKey"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "AppSync", "DataSource"), {
-        namePropIncludesTypeName: false,
-        nameConverter: ({ value }) => value.replace(/-/g, "_")
-    }),
-    new TypeSpec(new TypeID("AWS", "AppSync", "FunctionConfiguration"), {
-        namePropIncludesTypeName: false,
-        nameConverter: ({ value }) => value.replace(/-/g, "_")
-    }),
-    new TypeSpec(new TypeID("AWS", "AppSync", "GraphQLApi"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "AppSync", "GraphQLSchema"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "AppSync", "Resolver"), { noNameInsertion: true }),
-
-    // CloudFront
-    new TypeSpec(new TypeID("AWS", "CloudFront", "Distribution"), { noNameInsertion: true, }),
-    new TypeSpec(new TypeID("AWS", "CloudFront", "CloudFrontOriginAccessIdentity"), { noNameInsertion: true, }),
-    new TypeSpec(new TypeID("AWS", "CloudFront", "StreamingDistribution"), { noNameInsertion: true, }),
-    new TypeSpec(new TypeID("AWS", "CloudFront", "ResponseHeadersPolicy"), { namePropReplacement: "ResponseHeadersPolicyConfig.Name" }),
-
-    // CloudWatch Logs
-    new TypeSpec(new TypeID("AWS", "Logs", "Destination")),
-    new TypeSpec(new TypeID("AWS", "Logs", "LogGroup")),
-    new TypeSpec(new TypeID("AWS", "Logs", "LogStream")),
-    new TypeSpec(new TypeID("AWS", "Logs", "MetricFilter"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Logs", "SubscriptionFilter"), { noNameInsertion: true }),
-
-    // Code Build
-    new TypeSpec(new TypeID("AWS", "CodeBuild", "Project"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "CodeBuild", "SourceCredentials"), { noNameInsertion: true }),
-
-    // Code Commit
-    new TypeSpec(new TypeID("AWS", "CodeCommit", "Repository")),
-
-    // Code Deploy
-    new TypeSpec(new TypeID("AWS", "CodeDeploy", "Application")),
-    new TypeSpec(new TypeID("AWS", "CodeDeploy", "DeploymentConfig")),
-    new TypeSpec(new TypeID("AWS", "CodeDeploy", "DeploymentGroup")),
-
-    // Code Pipeline
-    new TypeSpec(new TypeID("AWS", "CodePipeline", "CustomActionType"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "CodePipeline", "Pipeline"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "CodePipeline", "Webhook"), { namePropIncludesTypeName: false }),
-
-    // Amazon Cognito
-    new TypeSpec(new TypeID("AWS", "Cognito", "IdentityPool")),
-    new TypeSpec(new TypeID("AWS", "Cognito", "IdentityPoolRoleAttachment"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPool")),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolClient"), { namePropReplacement: "ClientName" }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolDomain"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolGroup"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolIdentityProvider"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolResourceServer"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolRiskConfigurationAttachment"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolUICustomizationAttachment"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolUser"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Cognito", "UserPoolUserToGroupAttachment"), { noNameInsertion: true }),
-
-    // Step Functions
-    new TypeSpec(new TypeID("AWS", "StepFunctions", "Activity"), { namePropIncludesTypeName: false }),
-    new TypeSpec(new TypeID("AWS", "StepFunctions", "StateMachine")),
-
-    // DynamoDB
-    new TypeSpec(new TypeID("AWS", "DynamoDB", "Table")),
-
-    // Route53
-    new TypeSpec(new TypeID("AWS", "Route53", "HealthCheck"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Route53", "HostedZone"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Route53", "RecordSet"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Route53", "RecordSetGroup"), { noNameInsertion: true }),
-
-    // IAM
-    new TypeSpec(new TypeID("AWS", "IAM", "AccessKey"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "IAM", "Group")),
-    new TypeSpec(new TypeID("AWS", "IAM", "InstanceProfile")),
-    new TypeSpec(new TypeID("AWS", "IAM", "ManagedPolicy")),
-    new TypeSpec(new TypeID("AWS", "IAM", "Policy")),
-    new TypeSpec(new TypeID("AWS", "IAM", "Role")),
-    new TypeSpec(new TypeID("AWS", "IAM", "ServiceLinkedRole"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "IAM", "User")),
-    new TypeSpec(new TypeID("AWS", "IAM", "User"), { noNameInsertion: true }),
-
-    // Lambda
-    new TypeSpec(new TypeID("AWS", "Lambda", "Alias"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Lambda", "EventSourceMapping"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Lambda", "Function"), {
-        logicalNameConverter: ({ value, pluginConfig: { removeLambdaFunctionSuffix } }) => kebabCase(
-            removeLambdaFunctionSuffix ? value.replace(/LambdaFunction$/, "") : value
-        )
-    }),
-    new TypeSpec(new TypeID("AWS", "Lambda", "LayerVersion"), {
-        namePropReplacement: "LayerName",
-    }),
-    new TypeSpec(new TypeID("AWS", "Lambda", "LayerVersionPermission"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Lambda", "Permission"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "Lambda", "Version"), { noNameInsertion: true }),
-
-    // Amazon S3
-    new TypeSpec(new TypeID("AWS", "S3", "Bucket"), { nameConverter: ({ value }) => value.replace(/_/g, "-").replace(/\./g, "-") }),
-    new TypeSpec(new TypeID("AWS", "S3", "BucketPolicy"), { noNameInsertion: true }),
-
-    // SNS
-    new TypeSpec(new TypeID("AWS", "SNS", "Subscription"), { noNameInsertion: true }),
-    new TypeSpec(new TypeID("AWS", "SNS", "Topic")),
-    new TypeSpec(new TypeID("AWS", "SNS", "TopicPolicy"), { noNameInsertion: true }),
-
-    // SQS
-    new TypeSpec(new TypeID("AWS", "SQS", "Queue"), {
-        nameConverter: ({ value, logicalElement, pluginConfig: { appendDotFifoToFifoSqsQueues } }) => value.replace(/-/g, "_") + (
-            logicalElement.FifoQueue === true && appendDotFifoToFifoSqsQueues ? ".fifo" : ""
-        ),
-    }),
-    new TypeSpec(new TypeID("AWS", "SQS", "QueuePolicy"), { noNameInsertion: true }),
-
-    // Custom
-    new TypeSpec(new TypeID("Custom", "*", undefined), { noNameInsertion: true })
-];
+        if(this.isAwsTemplate) {
+            // declare the options added to the existing commands and the preview commands
+            this.commands = {
+                package: { options: ServerlessAwsAutoResourceNamesPlugin.commandOptions },
+                deploy: { options: ServerlessAwsAutoResourceNamesPlugin.commandOptions },
+                autonames: {
+                    usage: "Previews the names generated by the AWS Auto Resource Names Plugin",
+                    commands: {
+                        list: {
+                            usage: "Lists the names of all resources of the packaged template",
+                            lifecycleEvents: ["list"],
+                            options: ServerlessAwsAutoResourceNamesPlugin.previewCommandOptions,
+                        },
+                        diff: {
+                            usage: "Lists the names that differ from the previously deployed template",
+                            lifecycleEvents: ["diff"],
+                            options: ServerlessAwsAutoResourceNamesPlugin.previewCommandOptions,
+                        },
+                        lock: {
+                            usage: "Writes the names of the stage and region to the lockfile, which keeps them in later runs",
+                            lifecycleEvents: ["lock"],
+                        },
+                        move: {
+                            usage: "Moves the locked names of a resource or output to its new logical name",
+                            lifecycleEvents: ["move"],
+                            options: {
+                                from: { usage: "Previous logical name", type: "string", required: true },
+                                to: { usage: "New logical name", type: "string", required: true },
+                            },
+                        },
+                    },
+                },
+            };
 
-class ServerlessAwsAutoResourceNamesPlugin {
-    constructor(serverless, options) {
-        this.environment = { serverless, options };
+            // resolve ${autoname(LogicalName)} and ${autoname(LogicalName, Type)} variables of serverless v3 to the generated names
+            // and ${autoexport:Service:OutputName} variables to imports of the outputs of other services
+            this.configurationVariablesSources = {
+                autoname: {
+                    resolve: params => this.resolveNameVariable(params),
+                },
+                autoexport: {
+                    resolve: params => this.resolveExportVariable(params),
+                },
+            };
 
-        if(this.isAwsTemplate) {
             this.hooks = {
                 // rename functions on function deploy to prevent sls looking for the wrong name
                 "before:deploy:function:initialize": () => {
+                    if(this.config.mode === "audit") {
+                        this.log("audit mode, therefore the function names are left unchanged");
+                        return;
+                    }
+
+                    const autoNames = this.autoNames;
+
                     Object.keys(this.service.functions).forEach((key) => {
-                        const func = this.service.functions[key];
-                        const spec = typeSpecs.find(spec => spec.isApplicable(new TypeID("AWS", "Lambda", "Function")));
-                        func.name = spec.getNameValue({
-                            logicalElement: {},
-                            element: {},
-                            logicalName: key + "LambdaFunction",
-                            pluginConfig: this.config
+                        this.service.functions[key].name = autoNames.getResourceName(autoNames.getFunctionLogicalName(key), {
+                            Type: "AWS::Lambda::Function",
                         });
                     });
 
-                    this.applyOnCloudFormationTemplate(this.service.resources, this.service);
+                    autoNames.applyOnCloudFormationTemplate(this.service.resources, this.service);
+
+                    // the function config is deployed directly, therefore placeholders have to be resolved in it
+                    if(this.config.namePlaceholders) {
+                        const names = autoNames.getNameValues(this.service.resources, this.service);
+
+                        Object.keys(this.service.functions).forEach((key) => {
+                            names[autoNames.getFunctionLogicalName(key)] = this.service.functions[key].name;
+                        });
+
+                        autoNames.resolveNamePlaceholders(this.service.functions, names, "functions");
+                        autoNames.resolveNamePlaceholders(this.service["provider"], names, "provider");
+                    }
+
+                    this.collectWarnings(autoNames.warnings);
+                    this.printWarnings();
+                },
+                // remember the previously packaged template before the package directory is cleaned up
+                "before:package:cleanup": () => {
+                    const previousTemplate = this.readPreviousTemplate(path.join(this.packagePath, "cloudformation-template-update-stack.json"));
+                    const previousNestedTemplates = previousTemplate ? this.readNestedTemplates(previousTemplate) : {};
+
+                    // restored when the rename check fails or for previews, so that the next packaging is checked against them again
+                    this.previousTemplateFiles = previousTemplate && {
+                        ...previousNestedTemplates,
+                        "cloudformation-template-update-stack.json": previousTemplate,
+                    };
+
+                    // resources moved between the stacks keep their names, therefore they are compared regardless of their stack
+                    this.previousTemplate = previousTemplate && {
+                        ...previousTemplate,
+                        Resources: Object.assign({},
+                            ...Object.keys(previousNestedTemplates).map(file => previousNestedTemplates[file]["Resources"] || {}),
+                            previousTemplate["Resources"] || {}
+                        ),
+                    };
                 },
                 // update the create template after it has been written
                 "after:package:initialize": () => {
+                    // the create template is audited together with the update template
+                    if(this.config.mode === "audit") {
+                        return;
+                    }
+
                     const filepath = path.join(this.serverless.config["servicePath"], ".serverless/cloudformation-template-create-stack.json");
-                    this.applyOnJsonFile(filepath, this.service);
+                    this.applyOnJsonFile(filepath);
                 },
                 // update the create/update template in memory, from which the update template will be written to disk after
                 "after:aws:package:finalize:mergeCustomProviderResources": () => {
-                    this.applyOnCloudFormationTemplate(this.service["provider"]["compiledCloudFormationTemplate"], this.service);
-                    this.applyOnCloudFormationTemplate(this.service["provider"]["coreCloudFormationTemplate"], this.service);
+                    const provider = this.service["provider"];
+                    const { template, report } = this.applyOnTemplate(provider["compiledCloudFormationTemplate"]);
+
+                    this.report = report;
+
+                    report.resources.concat(report.exports).filter(({ status }) => status === "generated").forEach(({ logicalName, value }) => {
+                        this.log(`generated name ${JSON.stringify(value)} for "${logicalName}"`, "verbose");
+                    });
+
+                    // the audited template is unchanged apart from the removed inline policy keys
+                    this.replaceTemplate(provider["compiledCloudFormationTemplate"], template);
+
+                    if(this.config.mode === "audit") {
+                        this.writeAuditReport(report);
+                        return;
+                    }
+
+                    this.replaceTemplate(provider["coreCloudFormationTemplate"], this.applyOnTemplate(provider["coreCloudFormationTemplate"]).template);
+                    this.checkRenames(report.renames || []);
+                },
+                // name the nested stack templates, which split stack plugins write to disk after the template is merged
+                "after:package:finalize": () => {
+                    this.applyOnNestedTemplates();
+
+                    if(this.isPreview) {
+                        this.restorePreviousTemplateFiles();
+                    }
+
+                    this.printWarnings();
                 },
+                "autonames:list:list": () => this.packageForPreview().then(() => this.printNameList()),
+                "autonames:diff:diff": () => this.packageForPreview().then(() => this.printNameDiff()),
+                "autonames:lock:lock": () => this.packageForPreview().then(() => this.writeLockfile()),
+                "autonames:move:move": () => this.moveLock(),
             };
 
             // attach config initialization before each hook
@@ -358,7 +165,7 @@ class ServerlessAwsAutoResourceNamesPlugin {
                 const callback = this.hooks[hook];
                 this.hooks[hook] = (...args) => {
                     this.initializeConfig();
-                    callback(...args);
+                    return callback(...args);
                 };
             });
         } else {
@@ -366,6 +173,28 @@ class ServerlessAwsAutoResourceNamesPlugin {
         }
     }
 
+    static get commandOptions() {
+        return {
+            "allow-renames": {
+                usage: "Allows generated names to differ from the names in the previously deployed template",
+                type: "boolean",
+            },
+            "autonames-mode": {
+                usage: "Overrides the mode config property, \"audit\" reports the names without changing the templates",
+                type: "string",
+            },
+        };
+    }
+
+    static get previewCommandOptions() {
+        return {
+            json: {
+                usage: "Prints the result as JSON",
+                type: "boolean",
+            },
+        };
+    }
+
     get serverless() {
         return this.environment.serverless;
     }
@@ -378,169 +207,607 @@ class ServerlessAwsAutoResourceNamesPlugin {
         return this.service["provider"]["name"] === "aws";
     }
 
-    log(msg) {
-        this.serverless.cli.log(`AWS Auto Resource Names Plugin: ${msg}`);
+    get config() {
+        return this.autoNames.config;
+    }
+
+    get packagePath() {
+        return path.join(this.serverless.config["servicePath"], ".serverless");
     }
 
-    applyPolicyNamesOnResource(resources, logicalName) {
-        const resource = resources[logicalName];
-        const policies = resource.Properties && resource.Properties["Policies"];
+    /**
+     * logs the message by the serverless v3 log utilities if available, otherwise by the cli,
+     * which only logs verbose messages when the verbose option is given
+     * @param {String} msg
+     * @param {String?} level - "warning", "notice" or "verbose"
+     */
+    log(msg, level = "notice") {
+        const log = this.environment.log;
 
-        if(Array.isArray(policies)) {
-            for(let i = 0; i < policies.length; i++) {
-                policies[i]["PolicyName"] = "inline-policy-" + i;
-            }
+        if(log) {
+            log[level](`AWS Auto Resource Names Plugin: ${msg}`);
+        } else if(level !== "verbose" || (this.environment.options || {}).verbose) {
+            this.serverless.cli.log(`AWS Auto Resource Names Plugin: ${msg}`);
         }
     }
 
-    applyOnResource(resources, templateResources, logicalName) {
-        const resource = resources[logicalName];
-        const templateResource = (templateResources || {})[logicalName] || {};
+    /**
+     * remembers the warnings to be printed, where warnings already encountered by earlier hooks are ignored
+     * @param {Object[]} warnings
+     */
+    collectWarnings(warnings) {
+        warnings.forEach((warning) => {
+            const key = JSON.stringify(warning);
+
+            if(!this.printedWarnings.has(key)) {
+                this.warnings.set(key, warning);
+            }
+        });
+    }
+
+    /**
+     * prints the summary of the collected warnings, which are not printed again
+     */
+    printWarnings() {
+        const count = this.warnings.size;
 
-        // check if type is properly set
-        if(!resource.Type) {
-            this.throwError(`property "Type" is missing on resource "${logicalName}"`);
-        } else if(typeof resource.Type !== "string") {
-            this.throwError(`property "Type" must be string on resource "${logicalName}"`);
+        if(count === 0) {
+            return;
         }
 
-        // retrieve the resource provider and type name with a regex
-        const m = /^(?<typeRoot>\w*)::(?<typeProvider>\w*)(::(?<typeName>\w*))?$/.exec(resource.Type);
+        this.log(`encountered ${count} warning${count === 1 ? "" : "s"}\n${formatWarningSummary(Array.from(this.warnings.values()))}`, "warning");
+
+        this.warnings.forEach((warning, key) => this.printedWarnings.add(key));
+        this.warnings.clear();
+    }
 
-        if(!m) {
-            this.throwError(`property "Type" is of unknown format on resource "${logicalName}" that specifies it as "${resource.Type}"`);
+    /**
+     * prints the text without any formatting
+     * @param {String} text
+     */
+    print(text) {
+        if(this.environment.writeText) {
+            this.environment.writeText(text);
+        } else if(this.serverless.cli.consoleLog) {
+            this.serverless.cli.consoleLog(text);
+        } else {
+            console.log(text);
         }
+    }
 
-        // retrieve the regexp groups
-        const { groups: { typeRoot, typeProvider, typeName } } = m;
+    /**
+     * packages the service in order to generate the names, without failing on renames
+     * @returns {Promise}
+     */
+    packageForPreview() {
+        this.isPreview = true;
+        return this.serverless.pluginManager.spawn("package").finally(() => {
+            this.isPreview = false;
+        });
+    }
 
-        // check type specs and find first one that is applicable
-        const typeSpec = typeSpecs.find((spec) => spec.isApplicable(new TypeID(typeRoot, typeProvider, typeName)));
+    printNameList() {
+        const records = (this.report || {}).resources || [];
 
-        if(typeSpec === undefined) {
-            if(this.config.logMissingTypeBehaviourWarning) {
-                this.log(`Behaviour for Resource Type "${resource.Type}" is not specified!`);
-                this.log("Create a GitHub Issue for it to be added to the plugin.");
-            }
+        if((this.environment.options || {}).json) {
+            this.print(JSON.stringify(records, null, 2));
         } else {
-            // apply found typespec
+            const hasNestedStacks = records.some(({ stack }) => stack !== undefined);
+
+            this.print(formatTable(
+                ["Logical ID", "Type", "Name Property", "Value", "Status"].concat(hasNestedStacks ? ["Stack"] : []),
+                records.map(({ logicalName, type, nameProp, value, status, reason, stack }) => [
+                    logicalName, type, nameProp || "", value === undefined ? "" : JSON.stringify(value),
+                    reason ? `${status} (${reason})` : status,
+                ].concat(hasNestedStacks ? [stack || "(root)"] : []))
+            ));
+            this.print(`Type catalog built from CloudFormation resource specification ${AutoNames.specificationVersion}`);
+        }
+    }
 
-            // make sure Properties field exists
-            resource["Properties"] = resource["Properties"] || {};
+    printNameDiff() {
+        const renames = (this.report || {}).renames;
 
-            typeSpec.applyType({
-                element: resource["Properties"],
-                logicalElement: templateResource["Properties"],
-                logicalName,
-                pluginConfig: this.config
-            });
+        if((this.environment.options || {}).json) {
+            this.print(JSON.stringify(renames || [], null, 2));
+        } else if(!renames) {
+            this.print("No previously deployed template found to compare the names with.");
+        } else if(renames.length === 0) {
+            this.print("No names differ from the previously deployed template.");
+        } else {
+            this.print(formatTable(
+                ["Logical ID", "Type", "Name Property", "Previous Value", "Value"],
+                renames.map(({ logicalName, type, nameProp, previousValue, value }) => [
+                    logicalName, type, nameProp,
+                    previousValue === undefined ? "(generated by CloudFormation)" : JSON.stringify(previousValue),
+                    JSON.stringify(value),
+                ])
+            ));
         }
     }
 
-    applyOnOutput(outputs, logicalName) {
-        const output = outputs[logicalName];
-        output["Export"] = output["Export"] || {};
+    /**
+     * retrieves the naming utilities of the serverless aws provider if available
+     * @returns {Object|undefined}
+     */
+    getNaming() {
+        const provider = this.serverless.getProvider && this.serverless.getProvider("aws");
+
+        return provider ? provider.naming : undefined;
+    }
+
+    /**
+     * applies the names on a copy of the template, compiled from the service config, and its nested stack templates
+     * @param {Object} cfTemplate
+     * @param {Object?} nestedTemplates - nested stack templates by file name
+     * @returns {{ template: Object, nestedTemplates: Object, report: Object }}
+     */
+    applyOnTemplate(cfTemplate, nestedTemplates = {}) {
+        const result = applyAutoNames(cfTemplate, this.autoNamesConfig, {
+            service: this.service,
+            previousTemplate: this.getPreviousTemplate(),
+            naming: this.getNaming(),
+            nestedTemplates,
+            lock: this.lock,
+        });
 
-        if(output["Export"]) {
-            const spec = new TypeSpec(new TypeID("CUSTOM", "Output", "Export"), { namePropIncludesTypeName: false });
+        this.collectWarnings(result.report.warnings);
+        return result;
+    }
 
-            spec.applyType({
-                element: output["Export"],
-                logicalElement: output["Export"],
-                logicalName,
-                pluginConfig: { ...this.config, prefix: this.config.exportPrefix },
-            });
+    /**
+     * replaces the contents of the template in place, since serverless holds on to the template object
+     * @param {Object} cfTemplate
+     * @param {Object} namedTemplate
+     */
+    replaceTemplate(cfTemplate, namedTemplate) {
+        Object.keys(cfTemplate).forEach((key) => {
+            delete cfTemplate[key];
+        });
+
+        Object.assign(cfTemplate, namedTemplate);
+    }
+
+    /**
+     * reads the previously deployed template if it exists
+     * @param {String} filepath
+     * @returns {Object|undefined}
+     */
+    readPreviousTemplate(filepath) {
+        if(!fs.existsSync(filepath)) {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(filepath).toString());
+        } catch(err) {
+            this.throwError(`previous template "${filepath}" could not be read`, err);
         }
     }
 
-    applyOnCloudFormationTemplate(cfTemplate, template) {
+    /**
+     * retrieves the previously deployed template specified by the config or remembered from the package directory
+     * @returns {Object|undefined}
+     */
+    getPreviousTemplate() {
+        const { previousTemplate } = this.config.renameCheck;
+
+        return previousTemplate === undefined ? this.previousTemplate
+            : this.readPreviousTemplate(path.resolve(this.serverless.config["servicePath"], previousTemplate));
+    }
+
+    /**
+     * fails if generated names differ from the previously deployed template,
+     * unless renames are allowed by option or for the specific resources
+     * @param {Array<{ logicalName: String, type: String, nameProp: String, previousValue: *, value: * }>} renames
+     */
+    checkRenames(renames) {
+        const { enabled, allow } = this.config.renameCheck;
+
+        // previews report renames instead of failing on them
+        if(!enabled || this.isPreview || renames.length === 0) {
+            return;
+        }
+
+        const format = value => value === undefined ? "(generated by CloudFormation)" : JSON.stringify(value);
+        const lines = renames.map(({ logicalName, type, nameProp, previousValue, value }) => (
+            `  ${logicalName} (${type}) ${nameProp}: ${format(previousValue)} -> ${format(value)}`
+        ));
+        const disallowed = renames.filter(({ logicalName }) => !allow.includes(logicalName));
+
+        if(disallowed.length === 0 || (this.environment.options || {})["allow-renames"]) {
+            this.log(`the following resources are renamed and will be replaced by CloudFormation:\n${lines.join("\n")}`, "warning");
+        } else {
+            this.restorePreviousTemplateFiles();
+            this.throwError(
+                "the following resources would be renamed and therefore replaced by CloudFormation, which may lose their data:\n"
+                + lines.join("\n") + "\n"
+                + "Pass --allow-renames or add the resources to the renameCheck allow config property to proceed."
+            );
+        }
+    }
+
+    /**
+     * replaces the templates written to the package directory by the templates it contained before it was cleaned up,
+     * since the templates written by a failed or previewing packaging would otherwise be the ones the next packaging is checked against
+     */
+    restorePreviousTemplateFiles() {
+        const files = this.previousTemplateFiles;
+        const directory = this.packagePath;
+
+        if(!files) {
+            return;
+        }
+
+        fs.mkdirSync(directory, { recursive: true });
+
+        Object.keys(this.readNestedTemplates(this.service["provider"]["compiledCloudFormationTemplate"])).forEach((file) => {
+            fs.unlinkSync(path.join(directory, file));
+        });
+
+        Object.keys(files).forEach((file) => {
+            fs.writeFileSync(path.join(directory, file), JSON.stringify(files[file], null, 2));
+        });
+    }
+
+    /**
+     * retrieves the file name of the template url of a nested stack, which is a string or joined by Fn::Join
+     * @param {*} templateUrl
+     * @returns {String|undefined}
+     */
+    getTemplateUrlFileName(templateUrl) {
+        const join = templateUrl && templateUrl["Fn::Join"];
+        const url = Array.isArray(join) && Array.isArray(join[1]) ? join[1][join[1].length - 1] : templateUrl;
+
+        return typeof url === "string" ? url.split("/").pop() : undefined;
+    }
+
+    /**
+     * reads the nested stack templates of the package directory, which match the template patterns of the nested stacks
+     * config or are referenced by the nested stack resources of the template
+     * @param {Object} cfTemplate
+     * @returns {Object} - nested stack templates by file name
+     */
+    readNestedTemplates(cfTemplate) {
+        const { enabled, templates } = this.config.nestedStacks;
+        const directory = this.packagePath;
+
+        if(!enabled || !fs.existsSync(directory)) {
+            return {};
+        }
+
         const resources = cfTemplate["Resources"] || {};
-        const templateResources = (template["resources"] || {})["Resources"];
+        const referencedFiles = Object.keys(resources)
+            .filter(logicalName => resources[logicalName].Type === "AWS::CloudFormation::Stack")
+            .map(logicalName => this.getTemplateUrlFileName((resources[logicalName]["Properties"] || {})["TemplateURL"]));
+        const nestedTemplates = {};
+
+        fs.readdirSync(directory).filter(file => (
+            templates.some(pattern => matchesPattern(file, pattern)) || referencedFiles.includes(file)
+        )).forEach((file) => {
+            try {
+                nestedTemplates[file] = JSON.parse(fs.readFileSync(path.join(directory, file)).toString());
+            } catch(err) {
+                this.throwError(`nested stack template "${file}" could not be read`, err);
+            }
+        });
 
-        Object.keys(resources).forEach((key) => {
-            this.applyOnResource(resources, templateResources, key);
+        return nestedTemplates;
+    }
+
+    /**
+     * names the resources of the nested stack templates in the package directory together with the root template,
+     * which is written again since references to the resources of the nested stacks may change
+     */
+    applyOnNestedTemplates() {
+        const provider = this.service["provider"];
+        const nestedTemplates = this.readNestedTemplates(provider["compiledCloudFormationTemplate"]);
+
+        if(Object.keys(nestedTemplates).length === 0) {
+            return;
+        }
+
+        const { template, nestedTemplates: namedNestedTemplates, report } = this.applyOnTemplate(provider["compiledCloudFormationTemplate"], nestedTemplates);
+        const nestedResources = report.resources.filter(({ stack }) => stack !== undefined);
+
+        this.report = report;
+
+        nestedResources.filter(({ status }) => status === "generated").forEach(({ logicalName, value, stack }) => {
+            this.log(`generated name ${JSON.stringify(value)} for "${logicalName}" of nested stack template "${stack}"`, "verbose");
         });
 
-        if(this.config.generateExports) {
-            const outputs = cfTemplate["Outputs"] || {};
+        const rootPath = path.join(this.packagePath, "cloudformation-template-update-stack.json");
 
-            Object.keys(outputs).forEach((key) => {
-                this.applyOnOutput(outputs, key);
-            });
+        // the audited templates are unchanged apart from the removed inline policy keys
+        this.replaceTemplate(provider["compiledCloudFormationTemplate"], template);
+
+        if(fs.existsSync(rootPath)) {
+            fs.writeFileSync(rootPath, JSON.stringify(template, null, 2));
+        }
+
+        Object.keys(namedNestedTemplates).forEach((file) => {
+            fs.writeFileSync(path.join(this.packagePath, file), JSON.stringify(namedNestedTemplates[file], null, 2));
+        });
+
+        if(this.config.mode === "audit") {
+            this.writeAuditReport(report);
+            return;
         }
+
+        // renames of the root template resources have been checked when the template was merged
+        this.checkRenames((report.renames || []).filter(({ logicalName }) => nestedResources.some(record => record.logicalName === logicalName)));
     }
 
-    applyOnJsonFile(path, template) {
-        const cfTemplate = JSON.parse(fs.readFileSync(path).toString());
-        this.applyOnCloudFormationTemplate(cfTemplate, template);
-        fs.writeFileSync(path, JSON.stringify(cfTemplate, null, 2));
+    applyOnJsonFile(path) {
+        const { template } = this.applyOnTemplate(JSON.parse(fs.readFileSync(path).toString()));
+        fs.writeFileSync(path, JSON.stringify(template, null, 2));
+    }
+
+    /**
+     * writes the audit report to the package directory, failing afterwards if configured to on unnamed resources
+     * @param {Object} report
+     */
+    writeAuditReport(report) {
+        const directory = this.packagePath;
+
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, "auto-resource-names-report.json"), JSON.stringify(report, null, 2));
+        fs.writeFileSync(path.join(directory, "auto-resource-names-report.md"), formatMarkdownReport(report));
+
+        const { unnamed, unnamedPolicies, unexported, renamed } = report.summary;
+        this.log(
+            `audit found ${unnamed} resources and ${unnamedPolicies} inline policies that would be named, `
+            + `${unexported} outputs that would be exported and ${renamed} resources that would be renamed, `
+            + "see .serverless/auto-resource-names-report.md"
+        );
+
+        this.autoNames.checkUnnamed(report);
+    }
+
+    /**
+     * retrieves the path of the lockfile, which is relative to the service directory
+     * @param {Object} config - naming config
+     * @returns {String}
+     */
+    getLockfilePath(config) {
+        return path.resolve(this.serverless.config["servicePath"], config.lockfile);
+    }
+
+    /**
+     * reads the lockfile
+     * @param {Object} config - naming config
+     * @returns {Object|undefined} - undefined if there is no lockfile
+     */
+    readLockfile(config) {
+        const filepath = this.getLockfilePath(config);
+
+        return fs.existsSync(filepath) ? parseLockfile(fs.readFileSync(filepath).toString(), config.lockfile) : undefined;
     }
 
     /**
-     * throws formatted error with given message and logs optional passed error
+     * reads the names locked for the stage and region of the config
+     * @param {Object} config - naming config
+     * @returns {{ resources: Object, exports: Object }|undefined} - undefined if no names are locked for them
+     */
+    readLock(config) {
+        const { stage, region } = config.templateValues;
+
+        return getLockedNames(this.readLockfile(config), stage, region);
+    }
+
+    /**
+     * writes the names of the packaged template to the lockfile, where names that are already locked are kept
+     */
+    writeLockfile() {
+        const { lockfile, added, removed } = lockNames(this.readLockfile(this.config), this.report);
+        const { stage, region } = this.report;
+        const { resources, exports } = lockfile.stages[stage][region];
+
+        fs.writeFileSync(this.getLockfilePath(this.config), formatLockfile(lockfile));
+
+        this.log(`locked ${Object.keys(resources).length + Object.keys(exports).length} names of stage "${stage}" `
+            + `and region "${region}" in ${this.config.lockfile}`);
+
+        if(added.length > 0) {
+            this.log(`added the locked names of ${added.join(", ")}`);
+        }
+
+        if(removed.length > 0) {
+            this.log(`removed the locked names of ${removed.join(", ")}, which are not in the template anymore, `
+                + "use \"serverless autonames move\" to keep the name of a resource whose logical name changes", "warning");
+        }
+    }
+
+    /**
+     * moves the locked names of the logical name given by the from option to the one given by the to option
+     */
+    moveLock() {
+        const { from, to } = this.environment.options || {};
+
+        if(typeof from !== "string" || typeof to !== "string") {
+            this.throwError("options from and to must specify the previous and the new logical name");
+        }
+
+        const lockfile = this.readLockfile(this.config);
+
+        if(lockfile === undefined) {
+            this.throwError(`lockfile ${this.config.lockfile} does not exist, create it by "serverless autonames lock"`);
+        }
+
+        const { lockfile: movedLockfile, moved } = moveLockedNames(lockfile, from, to);
+
+        fs.writeFileSync(this.getLockfilePath(this.config), formatLockfile(movedLockfile));
+        this.log(`moved ${moved} locked name${moved === 1 ? "" : "s"} of "${from}" to "${to}" in ${this.config.lockfile}`);
+    }
+
+    /**
+     * throws formatted error with given message and optional passed error as its cause
      * @param {String} msg
      * @param {*?} err
      */
     throwError(msg, err) {
-        if(err) {
-            console.log("--- Error Log ---");
-            console.log(err);
-            console.log("-----------------");
+        throwError(msg, err);
+    }
+
+    /**
+     * creates the naming config from the plugin config and the service, the options take precedence
+     */
+    initializeConfig() {
+        const custom = this.service.custom;
+
+        this.autoNamesConfig = this.createConfig(custom && custom["awsAutoResourceNames"], this.service.service, this.service["provider"]);
+        this.autoNames = new AutoNames(this.autoNamesConfig, { naming: this.getNaming() });
+        this.lock = this.readLock(this.autoNames.config);
+        this.autoNames.useLock(this.lock);
+        this.collectWarnings(this.autoNames.warnings);
+    }
+
+    /**
+     * creates the naming config from the plugin config, the service name and the provider config, the options take precedence
+     * @param {Object?} config - plugin config
+     * @param {String|Object} service - service name or object containing it
+     * @param {{ stage: String?, region: String? }?} provider
+     * @param {Object?} options - cli options
+     * @returns {Object}
+     */
+    createConfig(config, service, provider = {}, options = this.environment.options || {}) {
+        config = config || {};
+
+        if(typeof config !== "object" || Array.isArray(config)) {
+            this.throwError("config must be an object");
+        } else if(options["autonames-mode"] !== undefined && !modes.includes(options["autonames-mode"])) {
+            this.throwError(`option autonames-mode must be one of ${JSON.stringify(modes)}`);
         }
 
-        throw new Error("Aws Auto Resource Names Error: " + msg);
+        return {
+            ...config,
+            mode: options["autonames-mode"] || config["mode"],
+            service: typeof service === "object" && service !== null ? service.name : service,
+            stage: options.stage || provider.stage || "dev",
+            region: options.region || provider.region || "us-east-1",
+        };
     }
 
-    initializeConfig() {
-        const custom = this.environment.serverless.service.custom;
-        const {
-            prefix = "",
-            exportPrefix = undefined,
-            generateExports = false,
-            removeLambdaFunctionSuffix = true,
-            appendDotFifoToFifoSqsQueues = true,
-            logMissingTypeBehaviourWarning = true,
-        } = (custom && custom["awsAutoResourceNames"]) || {};
-
-        // check prefix property
-        if(typeof prefix !== "string") {
-            this.throwError("config prefix property must be string");
-        } else if(prefix.length === 0) {
-            this.throwError("config prefix property must be nonempty");
+    /**
+     * resolves the ${autoname(LogicalName)} variable to the name generated for the resource, and ${autoname(Key, Type)}
+     * to the name generated for a resource of the type not specified in the resources config, such as functions,
+     * where only the config needed for the name is resolved, so that resources can reference the names of each other
+     * @param {Object} params - parameters passed to variable sources by serverless
+     * @param {String?} params.address - logical name given as ${autoname:LogicalName}
+     * @param {String[]?} params.params - logical name and type given as ${autoname(LogicalName, Type)}
+     * @param {Function} params.resolveConfigurationProperty - resolves the property at the path of the service config
+     * @param {Object?} params.options - cli options
+     * @returns {Promise<{ value: * }>}
+     */
+    async resolveNameVariable({ address, params = [], resolveConfigurationProperty, options }) {
+        const args = address === undefined ? params : [address].concat(params);
+        const variable = address === undefined ? `\${autoname(${params.join(", ")})}` : `\${autoname:${address}}`;
+        const [name, type] = args;
+
+        if(args.length === 0 || args.length > 2 || (address !== undefined && params.length > 0) || !name) {
+            this.throwError(`variable "${variable}" must specify the logical name of the resource and optionally its type, `
+                + "as in \"${autoname(MyQueue)}\" or \"${autoname(hello, AWS::Lambda::Function)}\"");
         }
 
-        // check export prefix property
-        if(exportPrefix !== undefined && typeof exportPrefix !== "string") {
-            this.throwError("config output prefix property must be string");
-        } else if(exportPrefix !== undefined && exportPrefix.length === 0) {
-            this.throwError("config output prefix property must be non empty or undefined");
+        const [config, service, stage, region, resourceType, metadata, properties] = await Promise.all([
+            resolveConfigurationProperty(["custom", "awsAutoResourceNames"]),
+            resolveConfigurationProperty(["service"]),
+            resolveConfigurationProperty(["provider", "stage"]),
+            resolveConfigurationProperty(["provider", "region"]),
+            ...["Type", "Metadata", "Properties"].map(prop => resolveConfigurationProperty(["resources", "Resources", name, prop])),
+        ]);
+
+        const autoNames = new AutoNames(this.createConfig(config, service, { stage, region }, options || this.environment.options || {}), {
+            naming: this.getNaming(),
+        });
+
+        if(autoNames.config.mode === "audit") {
+            this.throwError(`variable "${variable}" cannot be resolved in audit mode, since the names are not inserted into the template`);
         }
 
-        // check lambda function suffix removal property
-        if(typeof removeLambdaFunctionSuffix !== "boolean") {
-            this.throwError("config remove lambda function suffix property must be a boolean");
+        autoNames.useLock(this.readLock(autoNames.config));
+
+        let logicalName = name;
+        let resource = { Type: resourceType, Metadata: metadata, Properties: properties };
+
+        // log groups of functions are named after the functions, the same way as in the template
+        const functionKeys = Object.keys(this.service["functions"] || {});
+        const logGroupFunctionKey = resourceType === undefined && type === "AWS::Logs::LogGroup"
+            ? functionKeys.find(key => autoNames.getFunctionLogGroupLogicalName(key) === name) : undefined;
+        const logGroupName = logGroupFunctionKey === undefined ? undefined : autoNames.getFunctionLogGroupName(
+            autoNames.getResourceName(autoNames.getFunctionLogicalName(logGroupFunctionKey), { Type: "AWS::Lambda::Function" })
+        );
+
+        if(logGroupName !== undefined) {
+            this.collectWarnings(autoNames.warnings);
+            return { value: logGroupName };
         }
 
-        // check logMissingTypeBehaviourWarning property
-        if(typeof logMissingTypeBehaviourWarning !== "boolean") {
-            this.throwError("config log missing type behaviour warning property must be a boolean");
+        if(resourceType === undefined && autoNames.isFunctionEventResource(name, type, functionKeys)) {
+            this.throwError(`variable "${variable}" references the resource "${name}" serverless generates for a function event, `
+                + "which keeps the name serverless gives it");
         }
 
-        // check appendDotFifoToFifoSqsQueues property
-        if(typeof appendDotFifoToFifoSqsQueues !== "boolean") {
-            this.throwError("config append dot fifo to fifo sqs queues property must be a boolean");
+        if(resourceType === undefined) {
+            // functions are referenced by their key or logical name, other resources generated by serverless by their logical name
+            const isFunction = type === "AWS::Lambda::Function" || (type === undefined && /LambdaFunction$/.test(name));
+
+            if(type === undefined && !isFunction) {
+                this.throwError(`variable "${variable}" references no resource of the resources config, `
+                    + "specify the type of resources generated by serverless as second parameter");
+            }
+
+            logicalName = isFunction && !/LambdaFunction$/.test(name) ? autoNames.getFunctionLogicalName(name) : name;
+            resource = { Type: type || "AWS::Lambda::Function" };
+        } else if(type !== undefined && resource.Type !== type) {
+            this.throwError(`variable "${variable}" specifies the type "${type}" of resource "${name}", which is of type "${resource.Type}"`);
         }
 
-        // set the generated config
-        this.config = {
-            prefix,
-            exportPrefix,
-            generateExports,
-            removeLambdaFunctionSuffix,
-            logMissingTypeBehaviourWarning,
-            appendDotFifoToFifoSqsQueues,
-        };
+        const value = autoNames.getResourceName(logicalName, resource);
+
+        this.collectWarnings(autoNames.warnings);
+        return { value };
+    }
+
+    /**
+     * resolves the ${autoexport:Service:OutputName} and ${autoexport(Service, OutputName)} variables to an import
+     * of the export name the other service generates for the output, given that it uses the naming convention of this service
+     * @param {Object} params - parameters passed to variable sources by serverless
+     * @param {String?} params.address - service and output logical name given as ${autoexport:Service:OutputName}
+     * @param {String[]?} params.params - service and output logical name given as ${autoexport(Service, OutputName)}
+     * @param {Function} params.resolveConfigurationProperty - resolves the property at the path of the service config
+     * @param {Object?} params.options - cli options
+     * @returns {Promise<{ value: Object }>}
+     */
+    async resolveExportVariable({ address, params = [], resolveConfigurationProperty, options }) {
+        const args = address === undefined ? params : address.split(":").concat(params);
+        const variable = address === undefined ? `\${autoexport(${params.join(", ")})}` : `\${autoexport:${address}}`;
+        const [service, logicalName] = args;
+
+        if(args.length !== 2 || (address !== undefined && params.length > 0) || !service || !logicalName) {
+            this.throwError(`variable "${variable}" must specify the service and the logical name of its output, `
+                + "as in \"${autoexport:users-service:UsersTableArn}\" or \"${autoexport(users-service, UsersTableArn)}\"");
+        }
+
+        const [config, ownService, stage, region] = await Promise.all([
+            resolveConfigurationProperty(["custom", "awsAutoResourceNames"]),
+            resolveConfigurationProperty(["service"]),
+            resolveConfigurationProperty(["provider", "stage"]),
+            resolveConfigurationProperty(["provider", "region"]),
+        ]);
+
+        const autoNames = new AutoNames(this.createConfig(config, ownService, { stage, region }, options || this.environment.options || {}), {
+            naming: this.getNaming(),
+        });
+
+        return { value: { "Fn::ImportValue": autoNames.getImportName(service, logicalName) } };
     }
 }
 
+// version of the cloudformation resource specification the type catalog is built from
+ServerlessAwsAutoResourceNamesPlugin.specificationVersion = AutoNames.specificationVersion;
+
+// programmatic api, which names cloudformation templates without serverless
+ServerlessAwsAutoResourceNamesPlugin.applyAutoNames = applyAutoNames;
+
 module.exports = ServerlessAwsAutoResourceNamesPlugin;
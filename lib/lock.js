@@ -0,0 +1,167 @@
+const { throwError } = require("./auto-names");
+
+// version of the lockfile format
+const lockfileVersion = 1;
+
+/**
+ * creates an empty lockfile
+ * @returns {Object}
+ */
+function createLockfile() {
+    return { version: lockfileVersion, stages: {} };
+}
+
+/**
+ * parses and checks the content of the lockfile, which contains the locked names by stage and region
+ * @param {String} content
+ * @param {String} file - path of the lockfile used in error messages
+ * @returns {Object}
+ */
+function parseLockfile(content, file) {
+    const description = `lockfile "${file}"`;
+    const isObject = value => typeof value === "object" && value !== null && !Array.isArray(value);
+    let lockfile;
+
+    try {
+        lockfile = JSON.parse(content);
+    } catch(err) {
+        throwError(`${description} is not valid JSON`, err);
+    }
+
+    if(!isObject(lockfile) || !isObject(lockfile.stages)) {
+        throwError(`${description} must be an object containing the locked names by stage`);
+    } else if(lockfile.version !== lockfileVersion) {
+        throwError(`${description} has the unsupported version ${JSON.stringify(lockfile.version)}, version ${lockfileVersion} is supported`);
+    }
+
+    Object.keys(lockfile.stages).forEach((stage) => {
+        if(!isObject(lockfile.stages[stage])) {
+            throwError(`${description} stage "${stage}" must be an object containing the locked names by region`);
+        }
+
+        Object.keys(lockfile.stages[stage]).forEach((region) => {
+            const names = lockfile.stages[stage][region];
+            const location = `${description} stage "${stage}" region "${region}"`;
+
+            if(!isObject(names) || !isObject(names.resources || {}) || !isObject(names.exports || {})) {
+                throwError(`${location} must be an object containing the resources and exports objects`);
+            }
+
+            Object.keys(names.resources || {}).forEach((logicalName) => {
+                const entry = names.resources[logicalName];
+
+                if(!isObject(entry) || typeof entry.type !== "string" || entry.name === undefined) {
+                    throwError(`${location} resource "${logicalName}" must specify its type and name`);
+                }
+            });
+
+            Object.keys(names.exports || {}).forEach((logicalName) => {
+                const entry = names.exports[logicalName];
+
+                if(!isObject(entry) || entry.name === undefined) {
+                    throwError(`${location} export "${logicalName}" must specify its name`);
+                }
+            });
+        });
+    });
+
+    return lockfile;
+}
+
+/**
+ * retrieves the names locked for the stage and region
+ * @param {Object?} lockfile
+ * @param {String} stage
+ * @param {String} region
+ * @returns {{ resources: Object, exports: Object }|undefined} - undefined if no names are locked for the stage and region
+ */
+function getLockedNames(lockfile, stage, region) {
+    const names = lockfile && lockfile.stages[stage] && lockfile.stages[stage][region];
+
+    return names && { resources: names.resources || {}, exports: names.exports || {} };
+}
+
+/**
+ * locks the names of the report for its stage and region, replacing the names previously locked for them,
+ * where the names of the report already are the locked ones if the lockfile was used to create it
+ * @param {Object?} lockfile
+ * @param {Object} report - report of the names of the template
+ * @returns {{ lockfile: Object, added: String[], removed: String[] }} - new lockfile and logical names of the added and removed entries
+ */
+function lockNames(lockfile, report) {
+    const { stage, region } = report;
+    const previous = getLockedNames(lockfile, stage, region) || { resources: {}, exports: {} };
+    const isNamed = ({ status }) => status === "generated" || status === "locked";
+    const names = { resources: {}, exports: {} };
+
+    report.resources.filter(isNamed).forEach(({ logicalName, type, value }) => {
+        names.resources[logicalName] = { type, name: value };
+    });
+
+    report.exports.filter(isNamed).forEach(({ logicalName, value }) => {
+        names.exports[logicalName] = { name: value };
+    });
+
+    const diff = (from, to) => ["resources", "exports"].reduce((result, kind) => (
+        result.concat(Object.keys(from[kind]).filter(logicalName => to[kind][logicalName] === undefined))
+    ), []);
+
+    const result = JSON.parse(JSON.stringify(lockfile || createLockfile()));
+    result.stages[stage] = { ...result.stages[stage], [region]: names };
+
+    return { lockfile: result, added: diff(names, previous), removed: diff(previous, names) };
+}
+
+/**
+ * moves the locked names of the resource or output from the old to the new logical name in all stages and regions,
+ * so that the name is kept when the logical name is changed
+ * @param {Object} lockfile
+ * @param {String} from - old logical name
+ * @param {String} to - new logical name
+ * @returns {{ lockfile: Object, moved: Number }} - new lockfile and the number of moved entries
+ */
+function moveLockedNames(lockfile, from, to) {
+    const result = JSON.parse(JSON.stringify(lockfile));
+    let moved = 0;
+
+    Object.keys(result.stages).forEach((stage) => {
+        Object.keys(result.stages[stage]).forEach((region) => {
+            ["resources", "exports"].forEach((kind) => {
+                const entries = result.stages[stage][region][kind] || {};
+
+                if(entries[from] === undefined) {
+                    return;
+                } else if(entries[to] !== undefined) {
+                    throwError(`cannot move the locked name of "${from}" to "${to}" in stage "${stage}" region "${region}", since "${to}" already has a locked name`);
+                }
+
+                entries[to] = entries[from];
+                delete entries[from];
+                moved++;
+            });
+        });
+    });
+
+    if(moved === 0) {
+        throwError(`no names of "${from}" are locked`);
+    }
+
+    return { lockfile: result, moved };
+}
+
+/**
+ * formats the lockfile as written to disk
+ * @param {Object} lockfile
+ * @returns {String}
+ */
+function formatLockfile(lockfile) {
+    return JSON.stringify(lockfile, null, 2) + "\n";
+}
+
+module.exports = {
+    formatLockfile,
+    getLockedNames,
+    lockNames,
+    moveLockedNames,
+    parseLockfile,
+};
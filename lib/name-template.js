@@ -0,0 +1,101 @@
+const { camelCase, kebabCase, lowerCase, noCase, pascalCase, snakeCase } = require("change-case");
+
+// case transforms that can be applied on template tokens, separator is only used by transforms that split words
+const caseTransforms = {
+    kebab: (value, separator) => separator === undefined ? kebabCase(value) : noCase(value, null, separator),
+    snake: (value, separator) => separator === undefined ? snakeCase(value) : noCase(value, null, separator),
+    lower: (value, separator) => separator === undefined ? lowerCase(value) : noCase(value, null, separator),
+    camel: (value) => camelCase(value),
+    pascal: (value) => pascalCase(value),
+};
+
+// transforms that make use of the separator option
+const separatedCaseTransforms = ["kebab", "snake", "lower"];
+
+// tokens that can be used in name templates
+const templateTokens = ["prefix", "service", "stage", "region", "accountAlias", "typeProvider", "typeName", "logicalName"];
+
+// additional tokens that can be used in inline policy name templates
+const inlinePolicyTemplateTokens = [...templateTokens, "resourceName", "policyKey"];
+
+// transforms applied on tokens that do not specify one
+const defaultTokenTransforms = { logicalName: "kebab" };
+
+// matches {token}, {token:transform} and {token:transform:separator}
+const tokenRegex = /{(\w*)(?::(\w*))?(?::([^}]*))?}/g;
+
+/**
+ * parses the name template into its literal text and token parts
+ * @param {String} template
+ * @param {String[]?} tokens - tokens that can be used in the template
+ * @returns {Array<{ text: String }|{ token: String, transform: String?, separator: String? }>}
+ */
+function parseNameTemplate(template, tokens = templateTokens) {
+    if(typeof template !== "string") {
+        throw new Error("name template must be a string");
+    }
+
+    const parts = [];
+    let lastIndex = 0;
+    let m;
+
+    tokenRegex.lastIndex = 0;
+
+    while((m = tokenRegex.exec(template)) !== null) {
+        const [, token, transform, separator] = m;
+
+        if(!tokens.includes(token)) {
+            throw new Error(`name template "${template}" contains unknown token "${token}"`);
+        } else if(transform !== undefined && !caseTransforms[transform]) {
+            throw new Error(`name template "${template}" contains unknown case transform "${transform}"`);
+        } else if(separator !== undefined && !separatedCaseTransforms.includes(transform)) {
+            throw new Error(`name template "${template}" specifies a separator for token "${token}", which is only supported by the case transforms ${JSON.stringify(separatedCaseTransforms)}`);
+        }
+
+        if(m.index > lastIndex) {
+            parts.push({ text: template.substring(lastIndex, m.index) });
+        }
+
+        parts.push({ token, transform, separator });
+        lastIndex = tokenRegex.lastIndex;
+    }
+
+    if(lastIndex < template.length) {
+        parts.push({ text: template.substring(lastIndex) });
+    }
+
+    return parts;
+}
+
+/**
+ * renders the name template by inserting the transformed token values
+ * @param {String} template
+ * @param {Object} values - token values by token name
+ * @param {Object?} transforms - transforms by token name applied on tokens that do not specify one
+ * @returns {String}
+ */
+function renderNameTemplate(template, values, transforms = {}) {
+    return parseNameTemplate(template, templateTokens.concat(Object.keys(values))).map((part) => {
+        if(part.text !== undefined) {
+            return part.text;
+        }
+
+        const value = values[part.token];
+
+        if(value === undefined || value === null) {
+            throw new Error(`name template "${template}" uses token "${part.token}", which has no value`);
+        }
+
+        const transform = part.transform || transforms[part.token] || defaultTokenTransforms[part.token];
+
+        return transform ? caseTransforms[transform](String(value), part.separator) : String(value);
+    }).join("");
+}
+
+module.exports = {
+    caseTransforms,
+    templateTokens,
+    inlinePolicyTemplateTokens,
+    parseNameTemplate,
+    renderNameTemplate,
+};
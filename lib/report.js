@@ -0,0 +1,131 @@
+const { formatMarkdownTable } = require("./table");
+const catalog = require("./catalog.json");
+
+// descriptions of the warning kinds, by which warnings are grouped in the summary
+const warningDescriptions = {
+    unknownType: `resources of types that are not specified in the type catalog (CloudFormation resource specification ${catalog.specificationVersion}), `
+        + "specify them in the \"types\" config or create a GitHub Issue for them to be added to the plugin",
+    skippedName: "resources whose name generation is skipped by their metadata",
+    ignoredConfigProperty: "unknown config properties, which are ignored",
+    lockDrift: "resources and exports whose generated names differ from their locked names, which are kept",
+    staleLock: "resources whose locked names are ignored, since they are locked for another type",
+    untaggedResource: "resources without provenance tags, since their tags are specified in another form "
+        + "or would exceed the 50 tags allowed by AWS",
+};
+
+/**
+ * formats the name value for display, where names generated by CloudFormation have no value
+ * @param {*} value
+ * @returns {String}
+ */
+function formatValue(value) {
+    return value === undefined ? "(generated by CloudFormation)" : JSON.stringify(value);
+}
+
+/**
+ * formats the audit report as markdown
+ * @param {Object} report - audit report as written to the json report
+ * @returns {String}
+ */
+function formatMarkdownReport(report) {
+    const { service, stage, region, specificationVersion, summary, resources, policies, exports, renames, drift = [] } = report;
+    const hasNestedStacks = resources.some(({ stack }) => stack !== undefined);
+
+    const sections = [
+        "# AWS Auto Resource Names Audit Report",
+        `Service \`${service}\` in stage \`${stage}\` and region \`${region}\`, `
+        + `type catalog built from CloudFormation resource specification ${specificationVersion}.`,
+        "## Summary",
+        formatMarkdownTable(["", "Count"], [
+            ["Resources that would be named", summary.unnamed],
+            ["Resources with provided names", summary.provided],
+            ["Skipped resources", summary.skipped],
+            ["Inline policies that would be named", summary.unnamedPolicies],
+            ["Outputs that would be exported", summary.unexported],
+            ["Resources that would be renamed", summary.renamed],
+        ].concat(summary.locked > 0 ? [
+            ["Names kept by the lockfile", summary.locked],
+            ["Locked names that differ from the generated names", summary.drifted],
+        ] : [])),
+        "## Resources",
+        formatMarkdownTable(
+            ["Logical ID", "Type", "Name Property", "Value", "Status"].concat(hasNestedStacks ? ["Stack"] : []),
+            resources.map(({ logicalName, type, nameProp, value, status, reason, stack }) => [
+                logicalName, type, nameProp || "", status === "skipped" ? "" : formatValue(value),
+                reason ? `${status} (${reason})` : status,
+            ].concat(hasNestedStacks ? [stack || "(root)"] : []))
+        ),
+    ];
+
+    if(policies.length > 0) {
+        sections.push("## Inline Policies", formatMarkdownTable(
+            ["Logical ID", "Policy", "Value", "Status"],
+            policies.map(({ logicalName, index, value, status }) => [logicalName, index, formatValue(value), status])
+        ));
+    }
+
+    if(exports.length > 0) {
+        sections.push("## Exports", formatMarkdownTable(
+            ["Output", "Export Name", "Status"],
+            exports.map(({ logicalName, value, status }) => [logicalName, formatValue(value), status])
+        ));
+    }
+
+    if(renames !== undefined) {
+        sections.push("## Renames", renames.length === 0 ? "No names differ from the previously deployed template." : formatMarkdownTable(
+            ["Logical ID", "Type", "Name Property", "Previous Value", "Value"],
+            renames.map(({ logicalName, type, nameProp, previousValue, value }) => [
+                logicalName, type, nameProp, formatValue(previousValue), formatValue(value),
+            ])
+        ));
+    }
+
+    if(drift.length > 0) {
+        sections.push("## Lock Drift", formatMarkdownTable(
+            ["Logical ID", "Type", "Locked Value", "Generated Value"],
+            drift.map(({ logicalName, type, lockedValue, generatedValue }) => [logicalName, type, formatValue(lockedValue), formatValue(generatedValue)])
+        ));
+    }
+
+    if(report.warnings.length > 0) {
+        sections.push("## Warnings", "````\n" + formatWarningSummary(report.warnings) + "\n````");
+    }
+
+    return sections.join("\n\n") + "\n";
+}
+
+/**
+ * formats the summary of the warnings, which groups the affected resources by warning kind and resource type
+ * @param {Array<{ kind: String, type: String?, logicalName: String?, property: String? }>} warnings
+ * @returns {String}
+ */
+function formatWarningSummary(warnings) {
+    const lines = [];
+
+    Object.keys(warningDescriptions).forEach((kind) => {
+        const warningsOfKind = warnings.filter(warning => warning.kind === kind);
+        const unique = values => values.filter((value, idx) => values.indexOf(value) === idx);
+
+        if(warningsOfKind.length === 0) {
+            return;
+        }
+
+        lines.push(`${warningDescriptions[kind]}:`);
+
+        if(kind === "ignoredConfigProperty") {
+            lines.push(`  ${unique(warningsOfKind.map(({ property }) => property)).join(", ")}`);
+        } else {
+            unique(warningsOfKind.map(({ type }) => type)).forEach((type) => {
+                const logicalNames = unique(warningsOfKind.filter(warning => warning.type === type).map(({ logicalName }) => logicalName));
+                lines.push(`  ${type}: ${logicalNames.join(", ")}`);
+            });
+        }
+    });
+
+    return lines.join("\n");
+}
+
+module.exports = {
+    formatMarkdownReport,
+    formatWarningSummary,
+};
@@ -0,0 +1,37 @@
+/**
+ * formats rows as a text table with aligned columns
+ * @param {String[]} headers
+ * @param {Array<String[]>} rows
+ * @returns {String}
+ */
+function formatTable(headers, rows) {
+    const widths = headers.map((header, idx) => Math.max(header.length, ...rows.map(row => String(row[idx]).length)));
+    const formatRow = row => row.map((cell, idx) => String(cell).padEnd(widths[idx])).join("  ").trimEnd();
+
+    return [
+        formatRow(headers),
+        formatRow(widths.map(width => "-".repeat(width))),
+        ...rows.map(formatRow),
+    ].join("\n");
+}
+
+/**
+ * formats rows as a markdown table
+ * @param {String[]} headers
+ * @param {Array<String[]>} rows
+ * @returns {String}
+ */
+function formatMarkdownTable(headers, rows) {
+    const formatRow = row => `| ${row.map(cell => String(cell).replace(/\|/g, "\\|")).join(" | ")} |`;
+
+    return [
+        formatRow(headers),
+        formatRow(headers.map(() => "---")),
+        ...rows.map(formatRow),
+    ].join("\n");
+}
+
+module.exports = {
+    formatTable,
+    formatMarkdownTable,
+};
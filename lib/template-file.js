@@ -0,0 +1,64 @@
+const yaml = require("js-yaml");
+
+// intrinsic functions of the cloudformation short form yaml tags, which are named Fn::[Name] unless specified otherwise
+const intrinsicFunctions = [
+    "Base64", "Cidr", "FindInMap", "GetAtt", "GetAZs", "ImportValue", "Join", "Select", "Split", "Sub", "Transform",
+    "And", "Equals", "If", "Not", "Or",
+];
+
+/**
+ * creates the yaml types of the short form tag, which construct the long form of the intrinsic function
+ * @param {String} tag - tag name without exclamation mark
+ * @param {String} key - key of the long form
+ * @returns {yaml.Type[]}
+ */
+function createIntrinsicTypes(tag, key) {
+    return ["scalar", "sequence", "mapping"].map(kind => new yaml.Type(`!${tag}`, {
+        kind,
+        construct: (data) => {
+            // attribute names of the scalar short form are separated from the logical name by a dot
+            if(tag === "GetAtt" && kind === "scalar") {
+                const idx = data.indexOf(".");
+                return { [key]: idx < 0 ? [data] : [data.substring(0, idx), data.substring(idx + 1)] };
+            }
+
+            return { [key]: data === null ? "" : data };
+        },
+    }));
+}
+
+// yaml schema of cloudformation templates, which resolves the short form tags of intrinsic functions into their long form
+const cloudFormationSchema = yaml.DEFAULT_SCHEMA.extend([
+    ...createIntrinsicTypes("Ref", "Ref"),
+    ...createIntrinsicTypes("Condition", "Condition"),
+    ...intrinsicFunctions.reduce((types, name) => types.concat(createIntrinsicTypes(name, `Fn::${name}`)), []),
+]);
+
+/**
+ * parses the json or yaml cloudformation template
+ * @param {String} text
+ * @returns {{ template: Object, format: String }} - template and whether it is formatted as "json" or "yaml"
+ */
+function parseTemplate(text) {
+    try {
+        return { template: JSON.parse(text), format: "json" };
+    } catch(err) {
+        return { template: yaml.load(text, { schema: cloudFormationSchema }), format: "yaml" };
+    }
+}
+
+/**
+ * formats the cloudformation template as json or yaml, where intrinsic functions are written in their long form
+ * @param {Object} template
+ * @param {String} format - "json" or "yaml"
+ * @returns {String}
+ */
+function formatTemplate(template, format) {
+    return format === "yaml" ? yaml.dump(template, { lineWidth: -1, noRefs: true }) : JSON.stringify(template, null, 2) + "\n";
+}
+
+module.exports = {
+    cloudFormationSchema,
+    parseTemplate,
+    formatTemplate,
+};
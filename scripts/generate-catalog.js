@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * generates the type catalog from a local copy of the AWS CloudFormation resource specification
+ *
+ * usage: node scripts/generate-catalog.js <path to CloudFormationResourceSpecification.json>
+ *
+ * the name property of each type is derived from the specification, which is the string property named
+ * "[TypeName]Name" or "Name", types without one have no name insertion.
+ * the tags format is derived from the "Tags" property, which is either a list of key value pairs or a map.
+ * entries of catalog/overrides.json take precedence and are merged into the derived entry, where entries specifying
+ * the name property or name insertion replace the derived naming options, but keep the derived tags format.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const overridesPath = path.join(__dirname, "../catalog/overrides.json");
+const catalogPath = path.join(__dirname, "../lib/catalog.json");
+
+// options of catalog entries that decide whether and where the name is inserted
+const namingOptions = ["namePropReplacement", "namePropIncludesTypeName", "noNameInsertion"];
+
+/**
+ * derives the form of the tags of the type from the specification of its "Tags" property
+ * @param {String} type
+ * @param {Object} properties - property specifications of the type
+ * @param {Object} propertyTypes - property type specifications of the resource specification
+ * @returns {String|undefined} - "list", "map" or undefined if the type has no tags
+ */
+function deriveTagsFormat(type, properties, propertyTypes) {
+    const tags = properties["Tags"];
+
+    if(!tags) {
+        return undefined;
+    } else if(tags["Type"] === "Map" || tags["PrimitiveType"] === "Json") {
+        return "map";
+    } else if(tags["Type"] === "List") {
+        // items are of the shared "Tag" property type or of a key value property type of the resource type,
+        // items that require further properties, such as PropagateAtLaunch of auto scaling groups, cannot be generated
+        const itemType = propertyTypes[`${type}.${tags["ItemType"]}`] || propertyTypes[tags["ItemType"]];
+        const itemProperties = (itemType && itemType["Properties"]) || {};
+        const otherRequired = Object.keys(itemProperties).some(prop => prop !== "Key" && prop !== "Value" && itemProperties[prop]["Required"]);
+
+        return itemProperties["Key"] && itemProperties["Value"] && !otherRequired ? "list" : undefined;
+    }
+
+    return undefined;
+}
+
+/**
+ * derives the catalog entry of the type from its resource specification
+ * @param {String} type
+ * @param {Object} resourceType - resource specification of the type
+ * @param {Object} propertyTypes - property type specifications of the resource specification
+ * @returns {Object}
+ */
+function deriveEntry(type, resourceType, propertyTypes) {
+    const typeName = type.split("::")[2];
+    const properties = resourceType["Properties"] || {};
+    const nameProp = [typeName + "Name", "Name"].find(prop => properties[prop] && properties[prop]["PrimitiveType"] === "String");
+    const tagsFormat = deriveTagsFormat(type, properties, propertyTypes);
+    const entry = nameProp ? { namePropReplacement: nameProp } : { noNameInsertion: true };
+
+    return tagsFormat ? { ...entry, tagsFormat } : entry;
+}
+
+/**
+ * formats the catalog with one type per line to keep diffs of regenerated catalogs readable
+ * @param {Object} catalog
+ * @returns {String}
+ */
+function formatCatalog(catalog) {
+    const types = Object.keys(catalog.types).map(type => `        ${JSON.stringify(type)}: ${JSON.stringify(catalog.types[type])}`);
+
+    return "{\n"
+        + `    "specificationVersion": ${JSON.stringify(catalog.specificationVersion)},\n`
+        + "    \"types\": {\n"
+        + types.join(",\n") + "\n"
+        + "    }\n"
+        + "}\n";
+}
+
+function main() {
+    const specificationPath = process.argv[2];
+
+    if(!specificationPath) {
+        console.error("usage: node scripts/generate-catalog.js <path to CloudFormationResourceSpecification.json>");
+        process.exit(1);
+    }
+
+    const specification = JSON.parse(fs.readFileSync(specificationPath).toString());
+    const overrides = JSON.parse(fs.readFileSync(overridesPath).toString());
+    const resourceTypes = specification["ResourceTypes"] || {};
+    const propertyTypes = specification["PropertyTypes"] || {};
+    const types = {};
+
+    Object.keys(resourceTypes).concat(Object.keys(overrides)).sort().forEach((type) => {
+        const derived = resourceTypes[type] ? deriveEntry(type, resourceTypes[type], propertyTypes) : {};
+        const override = overrides[type];
+
+        if(!override) {
+            types[type] = derived;
+        } else if(namingOptions.some(option => override[option] !== undefined)) {
+            types[type] = derived["tagsFormat"] === undefined || override["tagsFormat"] !== undefined ? override
+                : { ...override, tagsFormat: derived["tagsFormat"] };
+        } else {
+            types[type] = { ...derived, ...override };
+        }
+    });
+
+    fs.writeFileSync(catalogPath, formatCatalog({
+        specificationVersion: specification["ResourceSpecificationVersion"],
+        types,
+    }));
+
+    console.log(`generated catalog of ${Object.keys(types).length} types from specification version ${specification["ResourceSpecificationVersion"]}`);
+}
+
+main();
@@ -0,0 +1,544 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { AutoNames, applyAutoNames } = require("../lib/auto-names");
+const { matchSnapshot } = require("./helpers/snapshot");
+
+/**
+ * names the resources and returns their properties by logical name
+ * @param {Object} resources
+ * @param {Object?} config
+ * @param {Object?} context
+ * @returns {Object}
+ */
+function nameResources(resources, config = {}, context = {}) {
+    const { template } = applyAutoNames({ Resources: resources }, { prefix: "svc-", ...config }, context);
+
+    return Object.keys(template.Resources).reduce((properties, logicalName) => ({
+        ...properties, [logicalName]: template.Resources[logicalName].Properties,
+    }), {});
+}
+
+describe("applyAutoNames", () => {
+    it("names the resources of a template", () => {
+        const { template, report } = applyAutoNames({
+            Resources: {
+                OrdersTable: { Type: "AWS::DynamoDB::Table", Properties: { BillingMode: "PAY_PER_REQUEST" } },
+                Uploads_Bucket: { Type: "AWS::S3::Bucket" },
+                JobQueue: { Type: "AWS::SQS::Queue", Properties: { FifoQueue: true } },
+                Backups: { Type: "AWS::Backup::BackupPlan", Properties: { BackupPlan: { BackupPlanRule: [] } } },
+                HelloLambdaFunction: { Type: "AWS::Lambda::Function", Properties: { Handler: "handler.hello" } },
+                Named: { Type: "AWS::SNS::Topic", Properties: { TopicName: "given" } },
+                Policy: { Type: "AWS::S3::BucketPolicy", Properties: {} },
+            },
+        }, { nameTemplate: "{service}-{stage}-{logicalName}", service: "orders", stage: "prod" });
+
+        matchSnapshot("apply-auto-names", { template, report });
+    });
+
+    it("names raw templates without serverless service, keeping the specified names", () => {
+        const template = {
+            Resources: {
+                Table: { Type: "AWS::DynamoDB::Table", Properties: { TableName: "keep-me" } },
+                Queue: { Type: "AWS::SQS::Queue" },
+            },
+        };
+        const { template: named, report } = applyAutoNames(template, { prefix: "p-" });
+
+        assert.strictEqual(named.Resources.Table.Properties.TableName, "keep-me");
+        assert.strictEqual(named.Resources.Queue.Properties.QueueName, "p_queue");
+        assert.deepStrictEqual(report.resources.map(({ logicalName, status }) => [logicalName, status]), [
+            ["Table", "provided"], ["Queue", "generated"],
+        ]);
+    });
+
+    it("does not change the passed template", () => {
+        const template = { Resources: { Queue: { Type: "AWS::SQS::Queue" } } };
+
+        applyAutoNames(template, { prefix: "svc-" });
+
+        assert.deepStrictEqual(template, { Resources: { Queue: { Type: "AWS::SQS::Queue" } } });
+    });
+
+    it("selects the name template of the resource, its type or the global one", () => {
+        const names = nameResources({
+            A: { Type: "AWS::SQS::Queue" },
+            B: { Type: "AWS::SQS::Queue" },
+            C: { Type: "AWS::SNS::Topic" },
+        }, {
+            typeNameTemplates: { "AWS::SQS::Queue": "{stage}-{logicalName}" },
+            resourceNameTemplates: { B: "{region}-{logicalName}" },
+        });
+
+        assert.deepStrictEqual(names, {
+            A: { QueueName: "dev_a" },
+            B: { QueueName: "us_east_1_b" },
+            C: { TopicName: "svc-c" },
+        });
+    });
+
+    describe("type behaviours", () => {
+        it("appends .fifo to the names of fifo sqs queues", () => {
+            const resources = {
+                Jobs: { Type: "AWS::SQS::Queue", Properties: { FifoQueue: true } },
+                Events: { Type: "AWS::SQS::Queue", Properties: { FifoQueue: false } },
+            };
+
+            assert.deepStrictEqual(nameResources(resources), {
+                Jobs: { FifoQueue: true, QueueName: "svc_jobs.fifo" },
+                Events: { FifoQueue: false, QueueName: "svc_events" },
+            });
+            assert.strictEqual(nameResources(resources, { appendDotFifoToFifoSqsQueues: false }).Jobs.QueueName, "svc_jobs");
+        });
+
+        it("keeps .fifo when shortening the names of fifo sqs queues", () => {
+            const { Jobs: { QueueName } } = nameResources({ Jobs: { Type: "AWS::SQS::Queue", Properties: { FifoQueue: true } } }, {
+                nameTemplate: "{prefix}{logicalName}-" + "x".repeat(100),
+            });
+
+            assert.strictEqual(QueueName.length, 80);
+            assert.ok(QueueName.endsWith(".fifo"));
+        });
+
+        it("removes the LambdaFunction suffix of function logical names", () => {
+            const resources = { HelloLambdaFunction: { Type: "AWS::Lambda::Function" } };
+
+            assert.strictEqual(nameResources(resources).HelloLambdaFunction.FunctionName, "svc-hello");
+            assert.strictEqual(nameResources(resources, { removeLambdaFunctionSuffix: false }).HelloLambdaFunction.FunctionName, "svc-hello-lambda-function");
+        });
+
+        it("lower cases bucket names and replaces illegal characters", () => {
+            assert.strictEqual(nameResources({ My_Bucket: { Type: "AWS::S3::Bucket" } }, { prefix: "Svc_" }).My_Bucket.BucketName, "svc-my-bucket");
+        });
+
+        it("uses the type specifications of the types config", () => {
+            const names = nameResources({
+                Thing: { Type: "Custom::Thing" },
+                QueueWithALongName: { Type: "AWS::SQS::Queue" },
+            }, {
+                types: {
+                    "Custom::Thing": { namePropReplacement: "ThingName" },
+                    "AWS::SQS::Queue": { maxLength: 16 },
+                },
+            });
+
+            assert.strictEqual(names.Thing.ThingName, "svc-thing");
+            assert.strictEqual(names.QueueWithALongName.QueueName.length, 16);
+        });
+    });
+
+    describe("resource metadata", () => {
+        it("adjusts the name generation of the resource", () => {
+            const metadata = hints => ({ AwsAutoResourceNames: hints });
+            const names = nameResources({
+                Skipped: { Type: "AWS::SQS::Queue", Metadata: metadata({ skip: true }) },
+                Suffixed: { Type: "AWS::SNS::Topic", Metadata: metadata({ suffix: "orders" }) },
+                Prefixed: { Type: "AWS::SNS::Topic", Metadata: metadata({ prefix: "other-" }) },
+                Templated: { Type: "AWS::SNS::Topic", Metadata: metadata({ template: "{stage}-{logicalName}" }) },
+                Unknown: { Type: "Vendor::Some::Thing", Metadata: metadata({ nameProp: "ThingName" }) },
+            });
+
+            assert.deepStrictEqual(names, {
+                Skipped: undefined,
+                Suffixed: { TopicName: "svc-orders" },
+                Prefixed: { TopicName: "other-prefixed" },
+                Templated: { TopicName: "dev-templated" },
+                Unknown: { ThingName: "svc-unknown" },
+            });
+        });
+    });
+
+    describe("serverless functions", () => {
+        const service = { functions: { hello: {}, "hello-world": {} } };
+        const resources = () => ({
+            HelloLambdaFunction: { Type: "AWS::Lambda::Function", Properties: { FunctionName: "svc-dev-hello" } },
+            HelloDashworldLambdaFunction: { Type: "AWS::Lambda::Function", Properties: { FunctionName: "svc-dev-hello-world" } },
+            HelloLogGroup: { Type: "AWS::Logs::LogGroup", Properties: { LogGroupName: "/aws/lambda/svc-dev-hello" } },
+            IamRoleLambdaExecution: {
+                Type: "AWS::IAM::Role",
+                Properties: {
+                    RoleName: "svc-dev-role",
+                    Policies: [{
+                        PolicyName: "svc-dev-lambda",
+                        PolicyDocument: { Statement: [{ Resource: ["arn:aws:logs:*:*:log-group:/aws/lambda/svc-dev-hello:*", "arn:aws:logs:*:*:log-group:/aws/lambda/svc-dev-hello-world:*"] }] },
+                    }],
+                },
+            },
+        });
+
+        it("replaces the function names generated by serverless and rewrites references to them", () => {
+            const names = nameResources(resources(), {}, { service });
+
+            assert.strictEqual(names.HelloLambdaFunction.FunctionName, "svc-hello");
+            assert.strictEqual(names.HelloDashworldLambdaFunction.FunctionName, "svc-hello-dashworld");
+            assert.strictEqual(names.HelloLogGroup.LogGroupName, "/aws/lambda/svc-hello");
+            assert.deepStrictEqual(names.IamRoleLambdaExecution.Policies[0].PolicyDocument.Statement[0].Resource, [
+                "arn:aws:logs:*:*:log-group:/aws/lambda/svc-hello:*",
+                "arn:aws:logs:*:*:log-group:/aws/lambda/svc-hello-dashworld:*",
+            ]);
+        });
+
+        it("keeps function names specified in the functions config", () => {
+            const names = nameResources(resources(), {}, {
+                service: { functions: { hello: {} }, resources: { Resources: { HelloLambdaFunction: { Properties: { FunctionName: "svc-dev-hello" } } } } },
+            });
+
+            assert.strictEqual(names.HelloLambdaFunction.FunctionName, "svc-dev-hello");
+        });
+
+        it("derives the names of event rules generated by serverless from the renamed functions", () => {
+            const names = nameResources({
+                ...resources(),
+                HelloEventBridgeRule1: { Type: "AWS::Events::Rule", Properties: { Name: "svc-dev-hello-rule-1" } },
+                HelloDashworldEventBridgeRule1: { Type: "AWS::Events::Rule", Properties: { Name: "svc-dev-hello-world-rule-1" } },
+                Rule: { Type: "AWS::Events::Rule" },
+            }, {}, { service });
+
+            assert.strictEqual(names.HelloEventBridgeRule1.Name, "svc-hello-rule-1");
+            assert.strictEqual(names.HelloDashworldEventBridgeRule1.Name, "svc-hello-dashworld-rule-1");
+            assert.strictEqual(names.Rule.Name, "svc-rule");
+        });
+
+        it("shortens the derived names of event rules to the maximum length of rule names", () => {
+            const prefix = "a".repeat(60) + "-";
+            const names = nameResources({
+                HelloLambdaFunction: { Type: "AWS::Lambda::Function", Properties: { FunctionName: "svc-dev-hello" } },
+                HelloEventBridgeRule1: { Type: "AWS::Events::Rule", Properties: { Name: "svc-dev-hello-rule-1" } },
+            }, { prefix }, { service: { functions: { hello: {} } } });
+
+            assert.strictEqual(names.HelloLambdaFunction.FunctionName.length, 64);
+            assert.strictEqual(names.HelloEventBridgeRule1.Name.length, 64);
+            assert.match(names.HelloEventBridgeRule1.Name, /^a+-[0-9a-f]{8}-rule-1$/);
+        });
+    });
+
+    describe("name placeholders", () => {
+        it("replaces the placeholders by the resource names", () => {
+            const names = nameResources({
+                Queue: { Type: "AWS::SQS::Queue" },
+                Named: { Type: "AWS::SNS::Topic", Properties: { TopicName: { "Fn::Sub": "${AWS::StackName}-named" } } },
+                Alarm: {
+                    Type: "AWS::CloudWatch::Alarm",
+                    Properties: {
+                        AlarmDescription: "messages in ${autoname:Queue}",
+                        TopicName: "${autoname:Named}",
+                    },
+                },
+            }, { namePlaceholders: true });
+
+            assert.strictEqual(names.Alarm.AlarmDescription, "messages in svc_queue");
+            assert.deepStrictEqual(names.Alarm.TopicName, { "Fn::Sub": "${AWS::StackName}-named" });
+        });
+
+        it("fails on placeholders of unknown resources", () => {
+            assert.throws(() => nameResources({
+                Alarm: { Type: "AWS::CloudWatch::Alarm", Properties: { AlarmDescription: "${autoname:Missing}" } },
+            }, { namePlaceholders: true }), /Missing/);
+        });
+    });
+
+    describe("collision check", () => {
+        it("fails on names used more than once within a namespace", () => {
+            assert.throws(() => nameResources({
+                MyQueue: { Type: "AWS::SQS::Queue" },
+                MyQUEUE: { Type: "AWS::SQS::Queue" },
+            }), /"MyQueue" and "MyQUEUE" both use the name "svc_my_queue" in namespace "AWS::SQS::Queue"/);
+        });
+
+        it("compares names of iam types case insensitively", () => {
+            assert.throws(() => nameResources({
+                Role: { Type: "AWS::IAM::Role", Properties: { RoleName: "Role" } },
+                Other: { Type: "AWS::IAM::Role", Properties: { RoleName: "role" } },
+            }), /both use the name/);
+        });
+
+        it("fails on names already used elsewhere", () => {
+            assert.throws(() => nameResources({ Uploads: { Type: "AWS::S3::Bucket" } }, {
+                collisionCheck: { existingNames: { "AWS::S3::Bucket": ["svc-uploads"] } },
+            }), /"Uploads" uses the name "svc-uploads", which is already used/);
+        });
+
+        it("can be disabled", () => {
+            assert.doesNotThrow(() => nameResources({
+                MyQueue: { Type: "AWS::SQS::Queue" },
+                MyQUEUE: { Type: "AWS::SQS::Queue" },
+            }, { collisionCheck: { enabled: false } }));
+        });
+    });
+
+    it("reports the renames compared to the previous template", () => {
+        const { report } = applyAutoNames({
+            Resources: {
+                Queue: { Type: "AWS::SQS::Queue" },
+                Topic: { Type: "AWS::SNS::Topic" },
+            },
+        }, { prefix: "new-" }, {
+            previousTemplate: {
+                Resources: {
+                    Queue: { Type: "AWS::SQS::Queue", Properties: { QueueName: "old_queue" } },
+                    Topic: { Type: "AWS::SNS::Topic", Properties: { TopicName: "new-topic" } },
+                },
+            },
+        });
+
+        assert.deepStrictEqual(report.renames, [
+            { logicalName: "Queue", type: "AWS::SQS::Queue", nameProp: "QueueName", previousValue: "old_queue", value: "new_queue" },
+        ]);
+        assert.strictEqual(report.summary.renamed, 1);
+    });
+
+    describe("audit mode", () => {
+        it("reports the names without changing the template", () => {
+            const input = { Resources: { Queue: { Type: "AWS::SQS::Queue" } } };
+            const { template, report } = applyAutoNames(input, { prefix: "svc-", mode: "audit" });
+
+            assert.deepStrictEqual(template, input);
+            assert.deepStrictEqual(report.resources, [
+                { logicalName: "Queue", type: "AWS::SQS::Queue", nameProp: "QueueName", value: "svc_queue", status: "generated" },
+            ]);
+        });
+
+        it("fails on unnamed resources if configured to", () => {
+            const config = { prefix: "svc-", mode: "audit", audit: { failOnUnnamed: true } };
+            const { report } = applyAutoNames({ Resources: { Queue: { Type: "AWS::SQS::Queue" } } }, config);
+
+            assert.throws(() => new AutoNames(config).checkUnnamed(report), /Queue/);
+            assert.doesNotThrow(() => new AutoNames({ ...config, mode: "apply" }).checkUnnamed(report));
+        });
+    });
+
+    describe("warnings", () => {
+        it("reports unknown types, skipped names and unknown config properties", () => {
+            const { report } = applyAutoNames({
+                Resources: {
+                    Thing: { Type: "Vendor::Some::Thing" },
+                    Queue: { Type: "AWS::SQS::Queue", Metadata: { AwsAutoResourceNames: { skip: true } } },
+                },
+            }, { prefix: "svc-", prefx: "typo" });
+
+            assert.deepStrictEqual(report.warnings.map(({ kind }) => kind).sort(), ["ignoredConfigProperty", "skippedName", "unknownType"]);
+        });
+
+        it("fails on warnings in strict mode", () => {
+            assert.throws(() => applyAutoNames({ Resources: {} }, { prefix: "svc-", strict: true, prefx: "typo" }), /strict mode: config property "prefx"/);
+            assert.throws(() => applyAutoNames({ Resources: { Thing: { Type: "Vendor::Some::Thing" } } }, { prefix: "svc-", strict: true }), /strict mode/);
+        });
+    });
+
+    describe("nested stack templates", () => {
+        it("names the resources of nested templates independent of their stack", () => {
+            const { template, nestedTemplates, report } = applyAutoNames({
+                Resources: { Queue: { Type: "AWS::SQS::Queue" } },
+            }, { prefix: "svc-" }, {
+                nestedTemplates: { Storage: { Resources: { Table: { Type: "AWS::DynamoDB::Table" } }, Outputs: { TableName: { Value: "${autoname:Queue}" } } } },
+            });
+
+            assert.strictEqual(template.Resources.Queue.Properties.QueueName, "svc_queue");
+            assert.strictEqual(nestedTemplates.Storage.Resources.Table.Properties.TableName, "svc-table");
+            assert.deepStrictEqual(report.resources.map(({ logicalName, stack }) => [logicalName, stack]), [["Queue", undefined], ["Table", "Storage"]]);
+
+            const { nestedTemplates: moved } = applyAutoNames({ Resources: {} }, { prefix: "svc-" }, {
+                nestedTemplates: { Other: { Resources: { Table: { Type: "AWS::DynamoDB::Table" } } } },
+            });
+
+            assert.strictEqual(moved.Other.Resources.Table.Properties.TableName, "svc-table");
+        });
+
+        it("checks collisions across all stacks", () => {
+            assert.throws(() => applyAutoNames({
+                Resources: { MyQueue: { Type: "AWS::SQS::Queue" } },
+            }, { prefix: "svc-" }, {
+                nestedTemplates: { Other: { Resources: { MyQUEUE: { Type: "AWS::SQS::Queue" } } } },
+            }), /both use the name/);
+        });
+
+        it("fails on logical names defined in more than one stack", () => {
+            assert.throws(() => applyAutoNames({
+                Resources: { Queue: { Type: "AWS::SQS::Queue" } },
+            }, { prefix: "svc-" }, {
+                nestedTemplates: { Other: { Resources: { Queue: { Type: "AWS::SQS::Queue" } } } },
+            }), /resource "Queue" is defined in the root and the "Other" stack template/);
+        });
+    });
+
+    describe("locked names", () => {
+        const lock = {
+            resources: {
+                Queue: { type: "AWS::SQS::Queue", name: "old_queue" },
+                Given: { type: "AWS::SNS::Topic", name: "old-topic" },
+                Table: { type: "AWS::SNS::Topic", name: "old-table" },
+                Same: { type: "AWS::SNS::Topic", name: "svc-same" },
+            },
+            exports: { QueueUrl: { name: "old-queue-url" } },
+        };
+
+        it("keeps the locked names of resources and exports without specified names", () => {
+            const { template, report } = applyAutoNames({
+                Resources: {
+                    Queue: { Type: "AWS::SQS::Queue" },
+                    Given: { Type: "AWS::SNS::Topic", Properties: { TopicName: "given" } },
+                    Same: { Type: "AWS::SNS::Topic" },
+                    Other: { Type: "AWS::SNS::Topic" },
+                },
+                Outputs: { QueueUrl: { Value: { Ref: "Queue" } } },
+            }, { prefix: "svc-", generateExports: true }, { lock });
+
+            assert.strictEqual(template.Resources.Queue.Properties.QueueName, "old_queue");
+            assert.strictEqual(template.Resources.Given.Properties.TopicName, "given");
+            assert.strictEqual(template.Resources.Same.Properties.TopicName, "svc-same");
+            assert.strictEqual(template.Resources.Other.Properties.TopicName, "svc-other");
+            assert.strictEqual(template.Outputs.QueueUrl.Export.Name, "old-queue-url");
+
+            assert.deepStrictEqual(report.resources.map(({ logicalName, status }) => [logicalName, status]), [
+                ["Queue", "locked"], ["Given", "provided"], ["Same", "locked"], ["Other", "generated"],
+            ]);
+            assert.deepStrictEqual(report.drift, [
+                { logicalName: "Queue", type: "AWS::SQS::Queue", lockedValue: "old_queue", generatedValue: "svc_queue" },
+                { logicalName: "QueueUrl", type: "CUSTOM::Output::Export", lockedValue: "old-queue-url", generatedValue: "svc-queue-url" },
+            ]);
+            assert.deepStrictEqual([report.summary.locked, report.summary.drifted], [3, 2]);
+            assert.deepStrictEqual(report.warnings.map(({ kind, logicalName }) => [kind, logicalName]), [["lockDrift", "Queue"], ["lockDrift", "QueueUrl"]]);
+        });
+
+        it("ignores names locked for another type", () => {
+            const { template, report } = applyAutoNames({
+                Resources: { Table: { Type: "AWS::DynamoDB::Table" } },
+            }, { prefix: "svc-" }, { lock });
+
+            assert.strictEqual(template.Resources.Table.Properties.TableName, "svc-table");
+            assert.deepStrictEqual(report.warnings.map(({ kind, logicalName }) => [kind, logicalName]), [["staleLock", "Table"]]);
+        });
+
+        it("fails on drift in strict mode", () => {
+            assert.throws(() => applyAutoNames({
+                Resources: { Queue: { Type: "AWS::SQS::Queue" } },
+            }, { prefix: "svc-", strict: true }, { lock }), /strict mode: generated name "svc_queue" of "Queue" differs from the locked name "old_queue"/);
+        });
+
+        it("checks the constraints of the locked names", () => {
+            assert.throws(() => applyAutoNames({
+                Resources: { Queue: { Type: "AWS::SQS::Queue" } },
+            }, { prefix: "svc-" }, {
+                lock: { resources: { Queue: { type: "AWS::SQS::Queue", name: "invalid name" } } },
+            }), /name of resource "Queue" of type "AWS::SQS::Queue" is invalid/);
+        });
+    });
+
+    describe("provenance tags", () => {
+        const provenanceTags = { enabled: true };
+
+        it("tags the resources with generated names", () => {
+            const properties = nameResources({
+                Queue: { Type: "AWS::SQS::Queue", Properties: { Tags: [{ Key: "team", Value: "orders" }] } },
+                Pool: { Type: "AWS::Cognito::UserPool" },
+                Given: { Type: "AWS::SNS::Topic", Properties: { TopicName: "given" } },
+                Rule: { Type: "AWS::Events::Rule" },
+            }, { provenanceTags });
+
+            assert.deepStrictEqual(properties.Queue.Tags, [
+                { Key: "team", Value: "orders" },
+                { Key: "auto-name:logical-id", Value: "Queue" },
+                { Key: "auto-name:prefix", Value: "svc-" },
+                { Key: "auto-name:generated", Value: "true" },
+            ]);
+            assert.deepStrictEqual(properties.Pool.UserPoolTags, {
+                "auto-name:logical-id": "Pool", "auto-name:prefix": "svc-", "auto-name:generated": "true",
+            });
+            assert.strictEqual(properties.Given.Tags, undefined);
+            assert.strictEqual(properties.Rule.Tags, undefined);
+        });
+
+        it("does not tag the resources unless enabled", () => {
+            assert.strictEqual(nameResources({ Queue: { Type: "AWS::SQS::Queue" } }).Queue.Tags, undefined);
+        });
+
+        it("keeps the tags specified by the user", () => {
+            const properties = nameResources({
+                Topic: { Type: "AWS::SNS::Topic", Properties: { Tags: [{ Key: "auto-name:logical-id", Value: "custom" }] } },
+                Parameter: { Type: "AWS::SSM::Parameter", Properties: { Type: "String", Value: "1", Tags: { "auto-name:generated": "no" } } },
+            }, { provenanceTags });
+
+            assert.deepStrictEqual(properties.Topic.Tags.filter(({ Key }) => Key === "auto-name:logical-id"), [{ Key: "auto-name:logical-id", Value: "custom" }]);
+            assert.strictEqual(properties.Parameter.Tags["auto-name:generated"], "no");
+            assert.strictEqual(properties.Parameter.Tags["auto-name:logical-id"], "Parameter");
+        });
+
+        it("uses the key prefix and the prefix of the resource metadata", () => {
+            const properties = nameResources({
+                Topic: { Type: "AWS::SNS::Topic", Metadata: { AwsAutoResourceNames: { prefix: "other-" } } },
+                Queue: { Type: "AWS::SQS::Queue" },
+            }, { nameTemplate: "{prefix}{logicalName}", prefix: "", provenanceTags: { enabled: true, keyPrefix: "names/" } });
+
+            assert.deepStrictEqual(properties.Topic.Tags.map(({ Key, Value }) => `${Key}=${Value}`), [
+                "names/logical-id=Topic", "names/prefix=other-", "names/generated=true",
+            ]);
+            assert.deepStrictEqual(properties.Queue.Tags.map(({ Key, Value }) => `${Key}=${Value}`), [
+                "names/logical-id=Queue", "names/generated=true",
+            ]);
+        });
+
+        it("tags the prefix only if the name template uses it", () => {
+            const properties = nameResources({
+                Queue: { Type: "AWS::SQS::Queue" },
+                Topic: { Type: "AWS::SNS::Topic", Metadata: { AwsAutoResourceNames: { template: "{stage}-{logicalName}" } } },
+            }, { provenanceTags, typeNameTemplates: { "AWS::SQS::Queue": "{stage}-{logicalName}" } });
+
+            assert.deepStrictEqual(properties.Queue.Tags.map(({ Key }) => Key), ["auto-name:logical-id", "auto-name:generated"]);
+            assert.deepStrictEqual(properties.Topic.Tags.map(({ Key }) => Key), ["auto-name:logical-id", "auto-name:generated"]);
+        });
+
+        it("tags the resources with locked names", () => {
+            const properties = nameResources({ Queue: { Type: "AWS::SQS::Queue" } }, { provenanceTags }, {
+                lock: { resources: { Queue: { type: "AWS::SQS::Queue", name: "svc_queue" } } },
+            });
+
+            assert.strictEqual(properties.Queue.QueueName, "svc_queue");
+            assert.strictEqual(properties.Queue.Tags.length, 3);
+        });
+
+        it("uses the tags format of the types config", () => {
+            const properties = nameResources({
+                Rule: { Type: "AWS::Events::Rule" },
+                Queue: { Type: "AWS::SQS::Queue" },
+            }, {
+                provenanceTags,
+                types: {
+                    "AWS::Events::Rule": { namePropIncludesTypeName: false, tagsFormat: "map", tagsProp: "Labels" },
+                    "AWS::SQS::Queue": { tagsFormat: "none" },
+                },
+            });
+
+            assert.deepStrictEqual(Object.keys(properties.Rule.Labels), ["auto-name:logical-id", "auto-name:prefix", "auto-name:generated"]);
+            assert.strictEqual(properties.Queue.Tags, undefined);
+        });
+
+        it("does not tag types whose tags require more than a key and a value", () => {
+            const { template, report } = applyAutoNames({
+                Resources: { Group: { Type: "AWS::AutoScaling::AutoScalingGroup", Properties: { MinSize: "1", MaxSize: "1" } } },
+            }, { prefix: "svc-", provenanceTags });
+
+            assert.strictEqual(template.Resources.Group.Properties.AutoScalingGroupName, "svc-group");
+            assert.strictEqual(template.Resources.Group.Properties.Tags, undefined);
+            assert.deepStrictEqual(report.warnings, []);
+        });
+
+        it("warns about tags specified in another form", () => {
+            const { template, report } = applyAutoNames({
+                Resources: { Topic: { Type: "AWS::SNS::Topic", Properties: { Tags: { "Fn::If": ["IsProd", [], []] } } } },
+            }, { prefix: "svc-", provenanceTags });
+
+            assert.deepStrictEqual(template.Resources.Topic.Properties.Tags, { "Fn::If": ["IsProd", [], []] });
+            assert.deepStrictEqual(report.warnings.map(({ kind, logicalName }) => [kind, logicalName]), [["untaggedResource", "Topic"]]);
+        });
+
+        it("warns instead of exceeding the maximum number of tags", () => {
+            const tags = Array.from({ length: 48 }, (value, idx) => ({ Key: `key${idx}`, Value: "value" }));
+            const { template, report } = applyAutoNames({
+                Resources: { Topic: { Type: "AWS::SNS::Topic", Properties: { Tags: tags } } },
+            }, { prefix: "svc-", provenanceTags });
+
+            assert.deepStrictEqual(template.Resources.Topic.Properties.Tags, tags);
+            assert.deepStrictEqual(report.warnings.map(({ kind, message }) => [kind, message]), [["untaggedResource",
+                "provenance tags are not inserted into resource \"Topic\", since its property \"Tags\" would have 51 tags, but at most 50 are allowed"]]);
+        });
+    });
+});
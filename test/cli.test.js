@@ -0,0 +1,116 @@
+const assert = require("assert");
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { after, describe, it } = require("node:test");
+
+const binPath = path.join(__dirname, "../bin/aws-auto-names.js");
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "auto-resource-names-cli-"));
+
+/**
+ * runs the cli with the arguments in the temporary directory
+ * @param {String[]} args
+ * @returns {{ status: Number, stdout: String, stderr: String }}
+ */
+function run(args) {
+    const { status, stdout, stderr } = childProcess.spawnSync(process.execPath, [binPath, ...args], { cwd: directory, encoding: "utf8" });
+
+    return { status, stdout, stderr };
+}
+
+/**
+ * writes the file to the temporary directory
+ * @param {String} file
+ * @param {String} content
+ */
+function write(file, content) {
+    fs.writeFileSync(path.join(directory, file), content);
+}
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("aws-auto-names", () => {
+    write("template.yaml", [
+        "Resources:",
+        "  JobQueue:",
+        "    Type: AWS::SQS::Queue",
+        "    Properties:",
+        "      FifoQueue: true",
+        "  Topic:",
+        "    Type: AWS::SNS::Topic",
+        "    Properties:",
+        "      TopicName: !Sub ${AWS::StackName}-topic",
+        "  Thing:",
+        "    Type: Vendor::Some::Thing",
+    ].join("\n"));
+    write("config.yml", "nameTemplate: \"{service}-{stage}-{logicalName}\"\nservice: orders\n");
+
+    it("writes the named template to stdout", () => {
+        const { status, stdout, stderr } = run(["template.yaml", "--config", "config.yml", "--stage", "prod"]);
+
+        assert.strictEqual(status, 0);
+        assert.strictEqual(stdout, [
+            "Resources:",
+            "  JobQueue:",
+            "    Type: AWS::SQS::Queue",
+            "    Properties:",
+            "      FifoQueue: true",
+            "      QueueName: orders_prod_job_queue.fifo",
+            "  Topic:",
+            "    Type: AWS::SNS::Topic",
+            "    Properties:",
+            "      TopicName:",
+            "        Fn::Sub: ${AWS::StackName}-topic",
+            "  Thing:",
+            "    Type: Vendor::Some::Thing",
+            "",
+        ].join("\n"));
+        assert.match(stderr, /Vendor::Some::Thing: Thing/);
+    });
+
+    it("writes the template and report to files", () => {
+        const { status } = run(["template.yaml", "-c", "config.yml", "-o", "named.json", "-f", "json", "-r", "report.json"]);
+
+        assert.strictEqual(status, 0);
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(directory, "named.json"))).Resources.JobQueue.Properties.QueueName, "orders_dev_job_queue.fifo");
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(directory, "report.json"))).summary.unnamed, 1);
+    });
+
+    it("leaves the template unchanged in audit mode", () => {
+        write("audit.yml", "prefix: svc-\nmode: audit\naudit:\n  failOnUnnamed: true\n");
+
+        const { status, stderr } = run(["template.yaml", "-c", "audit.yml", "-r", "audit-report.json"]);
+
+        assert.strictEqual(status, 1);
+        assert.match(stderr, /JobQueue/);
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(directory, "audit-report.json"))).resources[0].value, "svc_job_queue.fifo");
+    });
+
+    it("keeps the names of the lockfile", () => {
+        assert.strictEqual(run(["template.yaml", "-c", "config.yml", "--lockfile", "lock.json", "--lock"]).status, 0);
+
+        const { status, stdout, stderr } = run(["template.yaml", "-c", "config.yml", "-l", "lock.json", "--service", "other", "-f", "json"]);
+
+        assert.strictEqual(status, 0);
+        assert.strictEqual(JSON.parse(stdout).Resources.JobQueue.Properties.QueueName, "orders_dev_job_queue.fifo");
+        assert.match(stderr, /AWS::SQS::Queue: JobQueue/);
+    });
+
+    it("fails on invalid arguments", () => {
+        assert.match(run([]).stderr, /no template specified/);
+        assert.match(run(["template.yaml", "--unknown"]).stderr, /unknown option --unknown/);
+        assert.match(run(["template.yaml", "--format", "xml"]).stderr, /option --format must be "json" or "yaml"/);
+        assert.match(run(["template.yaml", "--lock"]).stderr, /option --lock requires the --lockfile option/);
+        assert.match(run(["template.yaml", "--prefix", "svc-", "--mode", "dry"]).stderr, /config mode property must be one of/);
+    });
+
+    it("prints the usage", () => {
+        const { status, stdout } = run(["--help"]);
+
+        assert.strictEqual(status, 0);
+        assert.match(stdout, /^usage: aws-auto-names <template> \[options\]/);
+    });
+});
@@ -0,0 +1,133 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { AutoNames } = require("../lib/auto-names");
+
+// invalid configs and the errors they cause, where the prefix is added unless specified
+const invalidConfigs = [
+    [[], /config must be an object/],
+    [{ prefix: 3 }, /config prefix property must be string/],
+    [{ prefix: "" }, /config prefix property must be nonempty when no name template is specified/],
+    [{ nameTemplate: "{unknown}" }, /config name template property is invalid: name template "{unknown}" contains unknown token "unknown"/],
+    [{ exportNameTemplate: "{logicalName:upper}" }, /config export name template property is invalid/],
+    [{ typeNameTemplates: [] }, /config typeNameTemplates property must be an object/],
+    [{ resourceNameTemplates: { Queue: "{nope}" } }, /config resourceNameTemplates property "Queue" is invalid/],
+    [{ accountAlias: 3 }, /config account alias property must be string/],
+    [{ exportPrefix: 3 }, /config output prefix property must be string/],
+    [{ exportPrefix: "" }, /config output prefix property must be non empty or undefined/],
+    [{ removeLambdaFunctionSuffix: "yes" }, /config remove lambda function suffix property must be a boolean/],
+    [{ logMissingTypeBehaviourWarning: "yes" }, /config log missing type behaviour warning property must be a boolean/],
+    [{ appendDotFifoToFifoSqsQueues: "yes" }, /config append dot fifo to fifo sqs queues property must be a boolean/],
+    [{ renameCheck: true }, /config rename check property must be an object/],
+    [{ renameCheck: { foo: 1 } }, /config rename check property contains the unknown properties \["foo"\]/],
+    [{ renameCheck: { enabled: "yes" } }, /config rename check enabled property must be a boolean/],
+    [{ renameCheck: { previousTemplate: "" } }, /config rename check previous template property must be a nonempty string/],
+    [{ renameCheck: { allow: "Queue" } }, /config rename check allow property must be a list of logical resource names/],
+    [{ qualifyScopedNames: "yes" }, /config qualify scoped names property must be a boolean/],
+    [{ accountId: "1234" }, /config account id property must be a string of 12 digits/],
+    [{ inlinePolicyNames: [] }, /config inline policy names property must be an object/],
+    [{ inlinePolicyNames: { foo: 1 } }, /config inline policy names property contains the unknown properties \["foo"\]/],
+    [{ inlinePolicyNames: { enabled: 1 } }, /config inline policy names enabled property must be a boolean/],
+    [{ inlinePolicyNames: { template: "{policyName}" } }, /config inline policy names template property is invalid/],
+    [{ namePlaceholders: "yes" }, /config name placeholders property must be a boolean/],
+    [{ collisionCheck: [] }, /config collision check property must be an object/],
+    [{ collisionCheck: { foo: 1 } }, /config collision check property contains the unknown properties \["foo"\]/],
+    [{ collisionCheck: { enabled: 1 } }, /config collision check enabled property must be a boolean/],
+    [{ collisionCheck: { existingNames: { "AWS::S3::Bucket": "name" } } }, /config collision check existing names property must map namespaces to lists of names/],
+    [{ strict: "yes" }, /config strict property must be a boolean/],
+    [{ mode: "dry" }, /config mode property must be one of \["apply","audit"\]/],
+    [{ stage: "" }, /config stage property must be a nonempty string/],
+    [{ service: 3 }, /config service property must be a nonempty string/],
+    [{ audit: true }, /config audit property must be an object/],
+    [{ audit: { foo: 1 } }, /config audit property contains the unknown properties \["foo"\]/],
+    [{ audit: { failOnUnnamed: 1 } }, /config audit fail on unnamed property must be a boolean/],
+    [{ exports: [] }, /config exports property must be an object/],
+    [{ exports: { foo: 1 } }, /config exports property contains the unknown properties \["foo"\]/],
+    [{ exports: { include: "*" } }, /config exports include property must be a list of output logical name patterns/],
+    [{ exports: { exclude: [""] } }, /config exports exclude property must be a list of output logical name patterns/],
+    [{ exports: { templates: [] } }, /config exports templates property must be an object/],
+    [{ exports: { templates: { Out: "{nope}" } } }, /config exports templates property "Out" is invalid/],
+    [{ nestedStacks: [] }, /config nested stacks property must be an object/],
+    [{ nestedStacks: { foo: 1 } }, /config nested stacks property contains the unknown properties \["foo"\]/],
+    [{ nestedStacks: { enabled: 1 } }, /config nested stacks enabled property must be a boolean/],
+    [{ nestedStacks: { templates: "*.json" } }, /config nested stacks templates property must be a list of template file name patterns/],
+    [{ lockfile: "" }, /config lockfile property must be a nonempty string/],
+    [{ provenanceTags: true }, /config provenance tags property must be an object/],
+    [{ provenanceTags: { foo: 1 } }, /config provenance tags property contains the unknown properties \["foo"\]/],
+    [{ provenanceTags: { enabled: 1 } }, /config provenance tags enabled property must be a boolean/],
+    [{ provenanceTags: { keyPrefix: "" } }, /config provenance tags key prefix property must be a nonempty string not starting with "aws:"/],
+    [{ provenanceTags: { keyPrefix: "AWS:names:" } }, /config provenance tags key prefix property must be a nonempty string not starting with "aws:"/],
+    [{ types: [] }, /config types property must be an object/],
+    [{ types: { "Not A Type": {} } }, /config types property "Not A Type" is not a resource type of format "Root::Provider::Name"/],
+    [{ types: { "AWS::S3::Bucket": true } }, /config types property "AWS::S3::Bucket" must be an object/],
+    [{ types: { "AWS::S3::Bucket": { namePropReplacement: "" } } }, /namePropReplacement must be a nonempty string/],
+    [{ types: { "AWS::S3::Bucket": { noNameInsertion: 1 } } }, /noNameInsertion must be a boolean/],
+    [{ types: { "AWS::S3::Bucket": { logicalNameCase: "upper" } } }, /logicalNameCase must be one of/],
+    [{ types: { "AWS::S3::Bucket": { maxLength: 0 } } }, /maxLength must be a positive integer/],
+    [{ types: { "AWS::S3::Bucket": { allowedCharacters: "" } } }, /allowedCharacters must be a nonempty string/],
+    [{ types: { "AWS::S3::Bucket": { allowedCharacters: "z-a" } } }, /allowedCharacters must be a valid regular expression character set/],
+    [{ types: { "AWS::S3::Bucket": { separator: 1 } } }, /separator must be a string/],
+    [{ types: { "AWS::S3::Bucket": { namespace: "" } } }, /namespace must be a nonempty string/],
+    [{ types: { "AWS::S3::Bucket": { scope: "planet" } } }, /scope must be one of \["region","account","global"\]/],
+    [{ types: { "AWS::S3::Bucket": { nameCase: "title" } } }, /nameCase must be one of \["lower","upper"\]/],
+    [{ types: { "AWS::S3::Bucket": { replaceCharacters: { "": "-" } } } }, /replaceCharacters must be an object mapping nonempty strings to strings/],
+    [{ types: { "AWS::S3::Bucket": { tagsFormat: "set" } } }, /tagsFormat must be one of \["list","map","none"\]/],
+    [{ types: { "AWS::S3::Bucket": { tagsProp: "" } } }, /tagsProp must be a nonempty string/],
+];
+
+describe("config", () => {
+    it("applies the defaults", () => {
+        const { config } = new AutoNames({ prefix: "svc-" });
+
+        assert.deepStrictEqual({
+            nameTemplate: config.nameTemplate,
+            exportNameTemplate: config.exportNameTemplate,
+            mode: config.mode,
+            templateValues: config.templateValues,
+            renameCheck: config.renameCheck,
+            collisionCheck: config.collisionCheck,
+            inlinePolicyNames: config.inlinePolicyNames,
+            exports: config.exports,
+            nestedStacks: config.nestedStacks,
+            lockfile: config.lockfile,
+            provenanceTags: config.provenanceTags,
+            audit: config.audit,
+            strict: config.strict,
+        }, {
+            nameTemplate: "{prefix}{logicalName}",
+            exportNameTemplate: "{prefix}{logicalName}",
+            mode: "apply",
+            templateValues: { prefix: "svc-", service: undefined, stage: "dev", region: "us-east-1", accountAlias: undefined },
+            renameCheck: { enabled: true, previousTemplate: undefined, allow: [] },
+            collisionCheck: { enabled: true, existingNames: {} },
+            inlinePolicyNames: { enabled: true, template: "{resourceName}-{policyKey}" },
+            exports: { include: ["*"], exclude: [], templates: {} },
+            nestedStacks: { enabled: true, templates: ["cloudformation-template-*nested-stack*.json"] },
+            lockfile: "auto-resource-names.lock.json",
+            provenanceTags: { enabled: false, keyPrefix: "auto-name:" },
+            audit: { failOnUnnamed: false },
+            strict: false,
+        });
+    });
+
+    it("does not require a prefix when a name template is specified", () => {
+        assert.doesNotThrow(() => new AutoNames({ nameTemplate: "{service}-{logicalName}", service: "svc" }));
+    });
+
+    it("warns about unknown properties", () => {
+        const { warnings } = new AutoNames({ prefix: "svc-", prefx: "svc-" });
+
+        assert.deepStrictEqual(warnings, [{
+            kind: "ignoredConfigProperty", property: "prefx", message: "config property \"prefx\" is unknown and therefore ignored",
+        }]);
+    });
+
+    invalidConfigs.forEach(([config, error]) => {
+        it(`rejects ${JSON.stringify(config)}`, () => {
+            assert.throws(() => new AutoNames(Array.isArray(config) ? config : { prefix: "svc-", ...config }), (err) => {
+                assert.match(err.message, /^Aws Auto Resource Names Error: /);
+                assert.match(err.message, error);
+                return true;
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { AutoNames, applyAutoNames } = require("../lib/auto-names");
+
+/**
+ * names the outputs and returns their export names by logical name
+ * @param {Object} outputs
+ * @param {Object?} config
+ * @returns {Object}
+ */
+function exportOutputs(outputs, config = {}) {
+    const { template } = applyAutoNames({ Resources: {}, Outputs: outputs }, {
+        prefix: "svc-", service: "orders", stage: "prod", ...config,
+    });
+
+    return Object.keys(template.Outputs).reduce((names, logicalName) => ({
+        ...names, [logicalName]: (template.Outputs[logicalName].Export || {}).Name,
+    }), {});
+}
+
+describe("output exports", () => {
+    const outputs = {
+        TableArn: { Value: "arn" },
+        DebugArn: { Value: "arn" },
+        ApiUrl: { Value: "url" },
+        Explicit: { Value: "value", Export: {} },
+        Named: { Value: "value", Export: { Name: "given-name" } },
+    };
+
+    it("leaves the outputs unchanged when disabled", () => {
+        assert.deepStrictEqual(exportOutputs(outputs), {
+            TableArn: undefined,
+            DebugArn: undefined,
+            ApiUrl: undefined,
+            Explicit: undefined,
+            Named: "given-name",
+        });
+    });
+
+    it("exports all outputs when enabled", () => {
+        assert.deepStrictEqual(exportOutputs(outputs, { generateExports: true }), {
+            TableArn: "svc-table-arn",
+            DebugArn: "svc-debug-arn",
+            ApiUrl: "svc-api-url",
+            Explicit: "svc-explicit",
+            Named: "given-name",
+        });
+    });
+
+    it("exports the outputs selected by the exports config with their templates", () => {
+        assert.deepStrictEqual(exportOutputs(outputs, {
+            generateExports: true,
+            exportPrefix: "exp-",
+            exports: {
+                include: ["*Arn", "ApiUrl"],
+                exclude: ["DebugArn"],
+                templates: { ApiUrl: "{service}-{stage}-api-url" },
+            },
+        }), {
+            TableArn: "exp-table-arn",
+            DebugArn: undefined,
+            ApiUrl: "orders-prod-api-url",
+            Explicit: "exp-explicit",
+            Named: "given-name",
+        });
+    });
+
+    it("uses the export name template", () => {
+        assert.strictEqual(exportOutputs({ TableArn: { Value: "arn" } }, {
+            generateExports: true, exportNameTemplate: "{service}:{stage}:{logicalName}",
+        }).TableArn, "orders:prod:table-arn");
+    });
+
+    it("sanitizes and shortens generated export names", () => {
+        const { TableArn } = exportOutputs({ TableArn: { Value: "arn" } }, {
+            generateExports: true, exportNameTemplate: "{service}_{logicalName}-" + "x".repeat(300),
+        });
+
+        assert.strictEqual(TableArn.length, 255);
+        assert.ok(TableArn.startsWith("orders-table-arn-"));
+    });
+
+    it("fails on invalid exports", () => {
+        assert.throws(() => exportOutputs({ Out: { Value: "v", Export: "name" } }, { generateExports: true }), /property "Export" must be an object on output "Out"/);
+        assert.throws(() => exportOutputs({ Out: { Value: "v", Export: { Name: "invalid_name" } } }, { generateExports: true }), /export name of output "Out" is invalid/);
+    });
+
+    it("reports the exports", () => {
+        const { report } = applyAutoNames({ Resources: {}, Outputs: { Out: { Value: "v" } } }, { prefix: "svc-", generateExports: true });
+
+        assert.deepStrictEqual(report.exports, [{ logicalName: "Out", value: "svc-out", status: "generated" }]);
+        assert.strictEqual(report.summary.unexported, 1);
+    });
+
+    it("checks collisions of export names", () => {
+        assert.throws(() => exportOutputs({ OutA: { Value: "v" }, OutB: { Value: "v", Export: { Name: "svc-out-a" } } }, { generateExports: true }), /both use the name "svc-out-a" in namespace "Exports"/);
+    });
+
+    describe("imports", () => {
+        it("derives the import name from the naming convention", () => {
+            const autoNames = new AutoNames({ prefix: "svc-", exportNameTemplate: "{service}-{stage}-{logicalName}", stage: "prod" });
+
+            assert.strictEqual(autoNames.getImportName("users-service", "UsersTableArn"), "users-service-prod-users-table-arn");
+        });
+
+        it("replaces export placeholders by imports", () => {
+            const { template } = applyAutoNames({
+                Resources: {
+                    Queue: { Type: "AWS::SQS::Queue", Properties: { Tags: [{ Key: "table", Value: "${autoexport:users-service:UsersTableArn}" }] } },
+                },
+            }, { prefix: "svc-", exportNameTemplate: "{service}-{stage}-{logicalName}", namePlaceholders: true });
+
+            assert.deepStrictEqual(template.Resources.Queue.Properties.Tags[0].Value, { "Fn::ImportValue": "users-service-dev-users-table-arn" });
+        });
+
+        it("fails on export placeholders without the service in the export name template", () => {
+            assert.throws(() => applyAutoNames({
+                Resources: { Queue: { Type: "AWS::SQS::Queue", Properties: { Tags: [{ Key: "table", Value: "${autoexport:users-service:UsersTableArn}" }] } } },
+            }, { prefix: "svc-", namePlaceholders: true }), /requires the export name template "\{prefix\}\{logicalName\}" to contain the \{service\} token/);
+        });
+
+        it("fails on export placeholders that are part of a value", () => {
+            assert.throws(() => applyAutoNames({
+                Resources: { Queue: { Type: "AWS::SQS::Queue", Properties: { Tags: [{ Key: "table", Value: "arn ${autoexport:users:Arn}" }] } } },
+            }, { prefix: "svc-", namePlaceholders: true }), /can therefore only be used as the whole value/);
+        });
+    });
+});
@@ -0,0 +1,266 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Plugin = require("../../lib");
+
+/**
+ * normalizes the function key the way serverless does for logical names
+ * @param {String} key
+ * @returns {String}
+ */
+function getNormalizedFunctionName(key) {
+    const name = key.replace(/-/g, "Dash").replace(/_/g, "Underscore");
+
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// naming utilities of the serverless aws provider used by the plugin
+const naming = {
+    getNormalizedFunctionName,
+    getLambdaLogicalId: key => getNormalizedFunctionName(key) + "LambdaFunction",
+    getLogGroupLogicalId: key => getNormalizedFunctionName(key) + "LogGroup",
+    getTopicLogicalId: topicName => "SNSTopic" + getNormalizedFunctionName(topicName.replace(/[^0-9A-Za-z]/g, "")),
+};
+
+/**
+ * creates the core template serverless writes as create template, containing the deployment bucket
+ * @returns {Object}
+ */
+function createCoreTemplate() {
+    return {
+        AWSTemplateFormatVersion: "2010-09-09",
+        Description: "The AWS CloudFormation template for this Serverless application",
+        Resources: {
+            ServerlessDeploymentBucket: { Type: "AWS::S3::Bucket", Properties: {} },
+        },
+        Outputs: {
+            ServerlessDeploymentBucketName: { Value: { Ref: "ServerlessDeploymentBucket" } },
+        },
+    };
+}
+
+/**
+ * compiles the template the way serverless does, with the lambda functions, their log groups, execution role
+ * and sns event topics and the custom resources of the service merged into the core template
+ * @param {Object} service
+ * @returns {Object}
+ */
+function compileTemplate(service) {
+    const { provider: { stage }, functions = {}, resources = {} } = service;
+    const template = createCoreTemplate();
+    const keys = Object.keys(functions);
+    const functionNames = keys.map(key => functions[key].name || `${service.service}-${stage}-${key}`);
+
+    if(keys.length > 0) {
+        template.Resources.IamRoleLambdaExecution = {
+            Type: "AWS::IAM::Role",
+            Properties: {
+                RoleName: { "Fn::Join": ["-", [service.service, stage, { Ref: "AWS::Region" }, "lambdaRole"]] },
+                Policies: [{
+                    PolicyName: { "Fn::Join": ["-", [service.service, stage, "lambda"]] },
+                    PolicyDocument: {
+                        Version: "2012-10-17",
+                        Statement: [{
+                            Effect: "Allow",
+                            Action: ["logs:CreateLogStream", "logs:CreateLogGroup", "logs:PutLogEvents"],
+                            Resource: functionNames.map(name => ({
+                                "Fn::Sub": `arn:\${AWS::Partition}:logs:\${AWS::Region}:\${AWS::AccountId}:log-group:/aws/lambda/${name}:*`,
+                            })),
+                        }],
+                    },
+                }],
+            },
+        };
+    }
+
+    keys.forEach((key, idx) => {
+        template.Resources[naming.getLogGroupLogicalId(key)] = {
+            Type: "AWS::Logs::LogGroup",
+            Properties: { LogGroupName: `/aws/lambda/${functionNames[idx]}` },
+        };
+        template.Resources[naming.getLambdaLogicalId(key)] = {
+            Type: "AWS::Lambda::Function",
+            Properties: {
+                FunctionName: functionNames[idx],
+                Handler: functions[key].handler,
+                Role: { "Fn::GetAtt": ["IamRoleLambdaExecution", "Arn"] },
+                ...functions[key].environment && { Environment: { Variables: functions[key].environment } },
+            },
+            DependsOn: [naming.getLogGroupLogicalId(key)],
+        };
+
+        (functions[key].events || []).filter(event => event.sns).forEach(({ sns }) => {
+            template.Resources[naming.getTopicLogicalId(sns)] = { Type: "AWS::SNS::Topic", Properties: { TopicName: sns } };
+        });
+    });
+
+    const custom = JSON.parse(JSON.stringify(resources));
+
+    Object.assign(template.Resources, custom.Resources || {});
+    Object.assign(template.Outputs, custom.Outputs || {});
+
+    return template;
+}
+
+// in-memory stand-in for the serverless object, which runs the lifecycle hooks of its plugins
+class FakeServerless {
+    /**
+     * @param {Object?} params
+     * @param {String?} params.service - service name
+     * @param {String?} params.stage
+     * @param {String?} params.region
+     * @param {String?} params.providerName
+     * @param {Object?} params.custom - plugin config
+     * @param {Object?} params.functions - functions config
+     * @param {Object?} params.resources - custom resources config
+     * @param {Boolean?} params.v3 - whether the log utilities of serverless v3 are passed to plugins
+     */
+    constructor({
+        service = "test-service",
+        stage = "dev",
+        region = "us-east-1",
+        providerName = "aws",
+        custom = { prefix: "the-prefix-" },
+        functions = {},
+        resources = {},
+        v3 = true,
+    } = {}) {
+        const copy = value => JSON.parse(JSON.stringify(value));
+
+        // the config is copied, since plugins change the service config
+        this.service = {
+            service,
+            provider: { name: providerName, stage, region, compiledCloudFormationTemplate: {}, coreCloudFormationTemplate: {} },
+            custom: custom === undefined ? undefined : { awsAutoResourceNames: copy(custom) },
+            functions: copy(functions),
+            resources: copy(resources),
+        };
+        this.config = { servicePath: fs.mkdtempSync(path.join(os.tmpdir(), "auto-resource-names-")) };
+        this.cli = {
+            log: msg => this.output.push({ level: "cli", msg }),
+            consoleLog: text => this.output.push({ level: "text", msg: text }),
+        };
+        this.pluginManager = { spawn: command => this.spawn(command) };
+        this.plugins = [];
+        this.output = [];
+        this.v3 = v3;
+    }
+
+    get packagePath() {
+        return path.join(this.config.servicePath, ".serverless");
+    }
+
+    getProvider(name) {
+        return name === "aws" ? { naming } : undefined;
+    }
+
+    /**
+     * creates the plugin with the options, passing the log utilities of serverless v3 if enabled
+     * @param {Object?} options - cli options
+     * @returns {Object} - plugin instance
+     */
+    addPlugin(options = {}) {
+        const log = ["warning", "notice", "verbose"].reduce((utils, level) => ({
+            ...utils, [level]: msg => this.output.push({ level, msg }),
+        }), {});
+        const plugin = new Plugin(this, options, this.v3 ? { log, writeText: text => this.output.push({ level: "text", msg: text }) } : undefined);
+
+        this.plugins.push(plugin);
+        return plugin;
+    }
+
+    /**
+     * runs the hook of all plugins that declare it
+     * @param {String} hook
+     * @returns {Promise}
+     */
+    async runHook(hook) {
+        for(const plugin of this.plugins) {
+            if(plugin.hooks && plugin.hooks[hook]) {
+                await plugin.hooks[hook]();
+            }
+        }
+    }
+
+    /**
+     * runs the lifecycle of the command, writing the templates to the package directory like serverless
+     * @param {String} command - "package", "deploy function" or one of the "autonames" commands
+     * @returns {Promise}
+     */
+    async spawn(command) {
+        if(command === "package") {
+            const provider = this.service.provider;
+
+            await this.runHook("before:package:cleanup");
+            fs.rmSync(this.packagePath, { recursive: true, force: true });
+            fs.mkdirSync(this.packagePath, { recursive: true });
+
+            provider.coreCloudFormationTemplate = createCoreTemplate();
+            this.writeTemplate("cloudformation-template-create-stack.json", provider.coreCloudFormationTemplate);
+            await this.runHook("after:package:initialize");
+
+            provider.compiledCloudFormationTemplate = compileTemplate(this.service);
+            await this.runHook("after:aws:package:finalize:mergeCustomProviderResources");
+            this.writeTemplate("cloudformation-template-update-stack.json", provider.compiledCloudFormationTemplate);
+            await this.runHook("after:package:finalize");
+        } else if(command === "deploy function") {
+            await this.runHook("before:deploy:function:initialize");
+        } else if(/^autonames (list|diff|lock|move)$/.test(command)) {
+            await this.runHook(`autonames:${command.split(" ")[1]}:${command.split(" ")[1]}`);
+        } else {
+            throw new Error(`unknown command ${command}`);
+        }
+    }
+
+    /**
+     * resolves the variable by the variable source the plugins register for it, like serverless v3 does
+     * @param {String} variable - variable such as ${autoname(MyQueue)} or ${autoname:MyQueue}
+     * @param {Object?} options - cli options
+     * @returns {Promise<*>}
+     */
+    async resolveVariable(variable, options = {}) {
+        const { groups: { source, params, address } } = /^\$\{(?<source>\w+)(\((?<params>[^)]*)\))?(:(?<address>.+))?\}$/.exec(variable);
+        const plugin = this.plugins.find(({ configurationVariablesSources }) => configurationVariablesSources && configurationVariablesSources[source]);
+
+        const { value } = await plugin.configurationVariablesSources[source].resolve({
+            address,
+            params: params === undefined ? undefined : params.split(",").map(param => param.trim()),
+            options,
+            resolveConfigurationProperty: async propertyPath => propertyPath.reduce(
+                (element, key) => (element === undefined || element === null ? undefined : element[key]), this.service
+            ),
+        });
+
+        return value;
+    }
+
+    writeTemplate(file, template) {
+        fs.writeFileSync(path.join(this.packagePath, file), JSON.stringify(template, null, 2));
+    }
+
+    readTemplate(file) {
+        return JSON.parse(fs.readFileSync(path.join(this.packagePath, file)).toString());
+    }
+
+    /**
+     * retrieves the output of the log utilities and the cli
+     * @param {String?} level - level of the messages, all if omitted
+     * @returns {String[]}
+     */
+    getOutput(level) {
+        return this.output.filter(entry => level === undefined || entry.level === level).map(({ msg }) => msg);
+    }
+
+    /**
+     * removes the service directory
+     */
+    dispose() {
+        fs.rmSync(this.config.servicePath, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    FakeServerless,
+    compileTemplate,
+    naming,
+};
@@ -0,0 +1,32 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const snapshotDirectory = path.join(__dirname, "../snapshots");
+
+/**
+ * compares the value with its snapshot in test/snapshots, where missing snapshots are written, except on CI where they fail,
+ * and all snapshots are rewritten when the UPDATE_SNAPSHOTS environment variable is set
+ * @param {String} name - file name of the snapshot without extension
+ * @param {*} value - json serializable value
+ */
+function matchSnapshot(name, value) {
+    const filepath = path.join(snapshotDirectory, `${name}.json`);
+    const actual = JSON.stringify(value, null, 2) + "\n";
+
+    if(!process.env.UPDATE_SNAPSHOTS && !fs.existsSync(filepath) && process.env.CI) {
+        assert.fail(`snapshot "${name}" is missing, run "npm run test:update" and commit it`);
+    }
+
+    if(process.env.UPDATE_SNAPSHOTS || !fs.existsSync(filepath)) {
+        fs.mkdirSync(snapshotDirectory, { recursive: true });
+        fs.writeFileSync(filepath, actual);
+        return;
+    }
+
+    assert.strictEqual(actual, fs.readFileSync(filepath).toString(), `snapshot "${name}" differs, run "npm run test:update" if the change is intended`);
+}
+
+module.exports = {
+    matchSnapshot,
+};
@@ -0,0 +1,125 @@
+const assert = require("assert");
+const { afterEach, describe, it } = require("node:test");
+const { FakeServerless } = require("./helpers/serverless");
+
+// statement of the inline policies, whose content hash names policies without key
+const document = { Statement: [{ Effect: "Allow", Action: "sqs:*", Resource: "*" }] };
+
+// fake serverless objects created by the current test
+const created = [];
+
+/**
+ * packages the resources with the plugin and returns the named resources of the update template
+ * @param {Object} resources - template resources
+ * @param {Object?} config - plugin config
+ * @returns {Promise<Object>}
+ */
+async function packageResources(resources, config = {}) {
+    const serverless = new FakeServerless({ service: "svc", custom: { prefix: "svc-", ...config }, resources: { Resources: resources } });
+
+    serverless.addPlugin();
+    created.push(serverless);
+
+    await serverless.spawn("package");
+    return serverless.readTemplate("cloudformation-template-update-stack.json").Resources;
+}
+
+/**
+ * creates a role resource with the inline policies
+ * @param {Object[]} policies
+ * @param {Object?} properties - other properties of the role
+ * @returns {Object}
+ */
+function role(policies, properties = {}) {
+    return { Role: { Type: "AWS::IAM::Role", Properties: { ...properties, Policies: policies } } };
+}
+
+afterEach(() => {
+    created.splice(0).forEach(serverless => serverless.dispose());
+});
+
+describe("inline policy names", () => {
+    it("names the policies by the resource name and their key", async () => {
+        const { Role } = await packageResources(role([{ AwsAutoResourceNamesKey: "queue-access", PolicyDocument: document }]));
+
+        assert.deepStrictEqual(Role.Properties.Policies, [{ PolicyName: "svc-role-queue-access", PolicyDocument: document }]);
+    });
+
+    it("names the policies without key by the hash of their document, which does not depend on their position", async () => {
+        const other = { Statement: [{ Effect: "Allow", Action: "sns:*", Resource: "*" }] };
+        const [first] = (await packageResources(role([{ PolicyDocument: document }]))).Role.Properties.Policies;
+        const [, second] = (await packageResources(role([{ PolicyDocument: other }, { PolicyDocument: document }]))).Role.Properties.Policies;
+
+        assert.match(first.PolicyName, /^svc-role-[0-9a-f]{8}$/);
+        assert.strictEqual(second.PolicyName, first.PolicyName);
+    });
+
+    it("keeps the names specified by the user", async () => {
+        const { Role } = await packageResources(role([{ PolicyName: "given", PolicyDocument: document }]));
+
+        assert.strictEqual(Role.Properties.Policies[0].PolicyName, "given");
+    });
+
+    it("derives the names from the specified resource name", async () => {
+        const { Role } = await packageResources(role([{ AwsAutoResourceNamesKey: "access", PolicyDocument: document }], { RoleName: "custom-role" }));
+
+        assert.strictEqual(Role.Properties.Policies[0].PolicyName, "custom-role-access");
+    });
+
+    it("names the policies of users and groups", async () => {
+        const { User, Group } = await packageResources({
+            User: { Type: "AWS::IAM::User", Properties: { Policies: [{ AwsAutoResourceNamesKey: "access", PolicyDocument: document }] } },
+            Group: { Type: "AWS::IAM::Group", Properties: { Policies: [{ AwsAutoResourceNamesKey: "access", PolicyDocument: document }] } },
+        });
+
+        assert.strictEqual(User.Properties.Policies[0].PolicyName, "svc-user-access");
+        assert.strictEqual(Group.Properties.Policies[0].PolicyName, "svc-group-access");
+    });
+
+    it("uses the template of the config", async () => {
+        const { Role } = await packageResources(role([{ AwsAutoResourceNamesKey: "access", PolicyDocument: document }]), {
+            inlinePolicyNames: { template: "{policyKey}-of-{resourceName}" },
+        });
+
+        assert.strictEqual(Role.Properties.Policies[0].PolicyName, "access-of-svc-role");
+    });
+
+    it("shortens the names to 128 characters", async () => {
+        const { Role } = await packageResources(role([{ AwsAutoResourceNamesKey: "a".repeat(200), PolicyDocument: document }]));
+
+        assert.strictEqual(Role.Properties.Policies[0].PolicyName.length, 128);
+    });
+
+    it("can be disabled", async () => {
+        const { Role } = await packageResources(role([{ PolicyDocument: document }]), { inlinePolicyNames: { enabled: false } });
+
+        assert.strictEqual(Role.Properties.Policies[0].PolicyName, undefined);
+    });
+
+    it("removes the keys of policies that are not named", async () => {
+        const keyed = { AwsAutoResourceNamesKey: "access", PolicyDocument: document };
+        const skipped = { Role: { ...role([keyed]).Role, Metadata: { AwsAutoResourceNames: { skip: true } } } };
+
+        const packaged = [
+            await packageResources(role([keyed]), { inlinePolicyNames: { enabled: false } }),
+            await packageResources(role([keyed]), { mode: "audit" }),
+            await packageResources(skipped),
+        ];
+
+        packaged.forEach(({ Role }) => {
+            assert.deepStrictEqual(Role.Properties.Policies, [{ PolicyDocument: document }]);
+        });
+    });
+
+    it("fails on policies with the same name", async () => {
+        await assert.rejects(packageResources(role([
+            { AwsAutoResourceNamesKey: "access", PolicyDocument: document },
+            { PolicyName: "svc-role-access", PolicyDocument: document },
+        ])), /policies 0 and 1 of resource "Role" both use the name "svc-role-access"/);
+    });
+
+    it("rejects invalid keys", async () => {
+        await assert.rejects(packageResources(role([{ AwsAutoResourceNamesKey: "", PolicyDocument: document }])),
+            /property "AwsAutoResourceNamesKey" of policy 0 on resource "Role" must be a nonempty string/);
+    });
+});
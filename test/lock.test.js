@@ -0,0 +1,82 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { formatLockfile, getLockedNames, lockNames, moveLockedNames, parseLockfile } = require("../lib/lock");
+
+// lockfile with the names of two stages
+const lockfile = {
+    version: 1,
+    stages: {
+        dev: { "us-east-1": { resources: { Queue: { type: "AWS::SQS::Queue", name: "dev_queue" } }, exports: { QueueUrl: { name: "dev-queue-url" } } } },
+        prod: { "eu-west-1": { resources: { Queue: { type: "AWS::SQS::Queue", name: "prod_queue" } }, exports: {} } },
+    },
+};
+
+describe("lockfile", () => {
+    it("parses the lockfile", () => {
+        assert.deepStrictEqual(parseLockfile(formatLockfile(lockfile), "lock.json"), lockfile);
+    });
+
+    it("fails on invalid lockfiles", () => {
+        [
+            ["{", /lockfile "lock.json" is not valid JSON/],
+            ["[]", /must be an object containing the locked names by stage/],
+            [JSON.stringify({ version: 2, stages: {} }), /has the unsupported version 2, version 1 is supported/],
+            [JSON.stringify({ version: 1, stages: { dev: [] } }), /stage "dev" must be an object containing the locked names by region/],
+            [JSON.stringify({ version: 1, stages: { dev: { r: { resources: [] } } } }), /stage "dev" region "r" must be an object containing the resources and exports objects/],
+            [JSON.stringify({ version: 1, stages: { dev: { r: { resources: { Queue: { name: "q" } } } } } }), /resource "Queue" must specify its type and name/],
+            [JSON.stringify({ version: 1, stages: { dev: { r: { exports: { Url: {} } } } } }), /export "Url" must specify its name/],
+        ].forEach(([content, error]) => {
+            assert.throws(() => parseLockfile(content, "lock.json"), error);
+        });
+    });
+
+    it("retrieves the names locked for the stage and region", () => {
+        assert.deepStrictEqual(getLockedNames(lockfile, "prod", "eu-west-1"), {
+            resources: { Queue: { type: "AWS::SQS::Queue", name: "prod_queue" } }, exports: {},
+        });
+        assert.strictEqual(getLockedNames(lockfile, "prod", "us-east-1"), undefined);
+        assert.strictEqual(getLockedNames(undefined, "dev", "us-east-1"), undefined);
+    });
+
+    it("locks the names of the report for its stage and region", () => {
+        const { lockfile: locked, added, removed } = lockNames(lockfile, {
+            stage: "dev",
+            region: "us-east-1",
+            resources: [
+                { logicalName: "Queue", type: "AWS::SQS::Queue", value: "dev_queue", status: "locked" },
+                { logicalName: "Topic", type: "AWS::SNS::Topic", value: "dev-topic", status: "generated" },
+                { logicalName: "Given", type: "AWS::SNS::Topic", value: "given", status: "provided" },
+                { logicalName: "Thing", type: "Vendor::Some::Thing", status: "skipped" },
+            ],
+            exports: [],
+        });
+
+        assert.deepStrictEqual(locked.stages.dev["us-east-1"], {
+            resources: { Queue: { type: "AWS::SQS::Queue", name: "dev_queue" }, Topic: { type: "AWS::SNS::Topic", name: "dev-topic" } },
+            exports: {},
+        });
+        assert.deepStrictEqual(locked.stages.prod, lockfile.stages.prod);
+        assert.deepStrictEqual([added, removed], [["Topic"], ["QueueUrl"]]);
+    });
+
+    it("moves the locked names in all stages and regions", () => {
+        const { lockfile: moved, moved: count } = moveLockedNames(lockfile, "Queue", "JobQueue");
+
+        assert.strictEqual(count, 2);
+        assert.deepStrictEqual(Object.keys(moved.stages.dev["us-east-1"].resources), ["JobQueue"]);
+        assert.strictEqual(moved.stages.prod["eu-west-1"].resources.JobQueue.name, "prod_queue");
+        assert.strictEqual(lockfile.stages.dev["us-east-1"].resources.Queue.name, "dev_queue");
+    });
+
+    it("fails to move names that are not locked or to locked logical names", () => {
+        assert.throws(() => moveLockedNames(lockfile, "Missing", "Other"), /no names of "Missing" are locked/);
+
+        const withTopic = lockNames(lockfile, {
+            stage: "prod", region: "eu-west-1", exports: [],
+            resources: [{ logicalName: "Queue", type: "AWS::SQS::Queue", value: "prod_queue", status: "locked" },
+                { logicalName: "Topic", type: "AWS::SNS::Topic", value: "prod-topic", status: "generated" }],
+        }).lockfile;
+
+        assert.throws(() => moveLockedNames(withTopic, "Queue", "Topic"), /in stage "prod" region "eu-west-1", since "Topic" already has a locked name/);
+    });
+});
@@ -0,0 +1,50 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { parseNameTemplate, renderNameTemplate, inlinePolicyTemplateTokens } = require("../lib/name-template");
+
+const values = { prefix: "svc-", service: "orders", stage: "prod", region: "eu-west-1", logicalName: "OrderTable" };
+
+describe("parseNameTemplate", () => {
+    it("splits the template into text and tokens", () => {
+        assert.deepStrictEqual(parseNameTemplate("{service}-{logicalName:snake:.}"), [
+            { token: "service", transform: undefined, separator: undefined },
+            { text: "-" },
+            { token: "logicalName", transform: "snake", separator: "." },
+        ]);
+    });
+
+    it("rejects invalid templates", () => {
+        assert.throws(() => parseNameTemplate(3), /must be a string/);
+        assert.throws(() => parseNameTemplate("{unknown}"), /unknown token "unknown"/);
+        assert.throws(() => parseNameTemplate("{service:upper}"), /unknown case transform "upper"/);
+        assert.throws(() => parseNameTemplate("{service:camel:_}"), /specifies a separator/);
+        assert.throws(() => parseNameTemplate("{policyKey}"), /unknown token "policyKey"/);
+        assert.doesNotThrow(() => parseNameTemplate("{resourceName}-{policyKey}", inlinePolicyTemplateTokens));
+    });
+});
+
+describe("renderNameTemplate", () => {
+    it("inserts the token values, converting the logical name to kebab case by default", () => {
+        assert.strictEqual(renderNameTemplate("{prefix}{logicalName}", values), "svc-order-table");
+        assert.strictEqual(renderNameTemplate("{service}-{stage}-{region}", values), "orders-prod-eu-west-1");
+    });
+
+    it("applies the case transforms", () => {
+        const render = template => renderNameTemplate(template, values);
+
+        assert.strictEqual(render("{logicalName:snake}"), "order_table");
+        assert.strictEqual(render("{logicalName:camel}"), "orderTable");
+        assert.strictEqual(render("{logicalName:pascal}"), "OrderTable");
+        assert.strictEqual(render("{logicalName:lower}"), "ordertable");
+        assert.strictEqual(render("{logicalName:kebab:.}"), "order.table");
+    });
+
+    it("applies the transforms passed for tokens without transform", () => {
+        assert.strictEqual(renderNameTemplate("{logicalName}", values, { logicalName: "snake" }), "order_table");
+        assert.strictEqual(renderNameTemplate("{logicalName:pascal}", values, { logicalName: "snake" }), "OrderTable");
+    });
+
+    it("fails on tokens without value", () => {
+        assert.throws(() => renderNameTemplate("{accountAlias}-{logicalName}", values), /uses token "accountAlias", which has no value/);
+    });
+});
@@ -0,0 +1,991 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, describe, it } = require("node:test");
+const catalog = require("../lib/catalog.json");
+const { FakeServerless } = require("./helpers/serverless");
+const { matchSnapshot } = require("./helpers/snapshot");
+
+// service config shared by the tests
+const functions = { hello: { handler: "handler.hello" }, "process-jobs": { handler: "handler.jobs" } };
+const resources = {
+    Resources: {
+        OrdersTable: { Type: "AWS::DynamoDB::Table", Properties: { BillingMode: "PAY_PER_REQUEST" } },
+        JobQueue: { Type: "AWS::SQS::Queue", Properties: { FifoQueue: true } },
+        Uploads: { Type: "AWS::S3::Bucket", Properties: { BucketName: "given-uploads" } },
+    },
+    Outputs: {
+        OrdersTableArn: { Value: { "Fn::GetAtt": ["OrdersTable", "Arn"] } },
+    },
+};
+
+// fake serverless objects created by the current test
+const created = [];
+
+/**
+ * creates a fake serverless object with the plugin added, which is disposed after the test
+ * @param {Object?} params - parameters of the fake serverless object
+ * @param {Object?} options - cli options
+ * @returns {FakeServerless}
+ */
+function createServerless(params = {}, options = {}) {
+    const serverless = new FakeServerless({ functions, resources, ...params });
+
+    serverless.addPlugin(options);
+    created.push(serverless);
+    return serverless;
+}
+
+/**
+ * packages the service and returns the resources of the update template
+ * @param {Object?} params - parameters of the fake serverless object
+ * @param {Object?} options - cli options
+ * @returns {Promise<Object>}
+ */
+async function packageResources(params = {}, options = {}) {
+    const serverless = createServerless(params, options);
+
+    await serverless.spawn("package");
+    return serverless.readTemplate("cloudformation-template-update-stack.json").Resources;
+}
+
+afterEach(() => {
+    created.splice(0).forEach(serverless => serverless.dispose());
+});
+
+describe("plugin", () => {
+    it("does nothing for other providers", () => {
+        const serverless = createServerless({ providerName: "google" });
+
+        assert.strictEqual(serverless.plugins[0].hooks, undefined);
+        assert.deepStrictEqual(serverless.getOutput("notice"), ["AWS Auto Resource Names Plugin: template provider is not aws, therefore skipping transformations..."]);
+    });
+
+    describe("package", () => {
+        it("names the resources of the create and update templates", async () => {
+            const serverless = createServerless({ custom: { prefix: "the-prefix-", generateExports: true } });
+
+            await serverless.spawn("package");
+
+            matchSnapshot("plugin-package", {
+                create: serverless.readTemplate("cloudformation-template-create-stack.json"),
+                update: serverless.readTemplate("cloudformation-template-update-stack.json"),
+            });
+            assert.deepStrictEqual(serverless.service.provider.compiledCloudFormationTemplate, serverless.readTemplate("cloudformation-template-update-stack.json"));
+            assert.deepStrictEqual(serverless.service.provider.coreCloudFormationTemplate.Resources.ServerlessDeploymentBucket.Properties, {
+                BucketName: "the-prefix-serverless-deployment-bucket",
+            });
+        });
+
+        it("uses the stage and region options", async () => {
+            const { OrdersTable } = await packageResources({
+                custom: { nameTemplate: "{service}-{stage}-{region}-{logicalName}" },
+            }, { stage: "prod", region: "eu-central-1" });
+
+            assert.strictEqual(OrdersTable.Properties.TableName, "test-service-prod-eu-central-1-orders-table");
+        });
+
+        it("fails on invalid config", async () => {
+            const serverless = createServerless({ custom: { prefix: 3 } });
+
+            await assert.rejects(serverless.spawn("package"), /config prefix property must be string/);
+        });
+
+        it("fails on an invalid mode option", async () => {
+            const serverless = createServerless({}, { "autonames-mode": "dry" });
+
+            await assert.rejects(serverless.spawn("package"), /option autonames-mode must be one of \["apply","audit"\]/);
+        });
+    });
+
+    describe("serverless generated resources", () => {
+        it("names the log groups and role of the functions consistently with the functions", async () => {
+            const { HelloLogGroup, ProcessDashjobsLogGroup, IamRoleLambdaExecution } = await packageResources({ custom: { prefix: "p-" } });
+            const [policy] = IamRoleLambdaExecution.Properties.Policies;
+
+            assert.strictEqual(HelloLogGroup.Properties.LogGroupName, "/aws/lambda/p-hello");
+            assert.strictEqual(ProcessDashjobsLogGroup.Properties.LogGroupName, "/aws/lambda/p-process-dashjobs");
+            assert.strictEqual(IamRoleLambdaExecution.Properties.RoleName, "p-iam-role-lambda-execution");
+            assert.deepStrictEqual(policy.PolicyDocument.Statement[0].Resource, [
+                { "Fn::Sub": "arn:${AWS::Partition}:logs:${AWS::Region}:${AWS::AccountId}:log-group:/aws/lambda/p-hello:*" },
+                { "Fn::Sub": "arn:${AWS::Partition}:logs:${AWS::Region}:${AWS::AccountId}:log-group:/aws/lambda/p-process-dashjobs:*" },
+            ]);
+        });
+
+        it("keeps the topic names of sns function events", async () => {
+            const { SNSTopicOrderevents } = await packageResources({
+                custom: { prefix: "p-" },
+                functions: { ...functions, hello: { ...functions.hello, events: [{ sns: "order-events" }] } },
+            });
+
+            assert.strictEqual(SNSTopicOrderevents.Properties.TopicName, "order-events");
+        });
+    });
+
+    describe("name templates", () => {
+        it("uses the type and resource templates before the global one", async () => {
+            const { OrdersTable, JobQueue, HelloLambdaFunction } = await packageResources({
+                custom: {
+                    prefix: "p-",
+                    nameTemplate: "{prefix}{logicalName:snake}",
+                    typeNameTemplates: { "AWS::DynamoDB::Table": "{typeName:lower}-{logicalName}", "AWS::SQS::Queue": "{typeProvider:lower}-{logicalName}" },
+                    resourceNameTemplates: { JobQueue: "{service}-{logicalName:pascal}" },
+                },
+            });
+
+            assert.strictEqual(OrdersTable.Properties.TableName, "table-orders-table");
+            assert.strictEqual(JobQueue.Properties.QueueName, "test_service_JobQueue.fifo");
+            assert.strictEqual(HelloLambdaFunction.Properties.FunctionName, "p-hello");
+        });
+
+        it("names the exports by the export name template and prefix", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "p-", exportPrefix: "x-", exportNameTemplate: "{prefix}{stage}-{logicalName}", generateExports: true },
+            });
+
+            await serverless.spawn("package");
+
+            const { Outputs } = serverless.readTemplate("cloudformation-template-update-stack.json");
+            assert.deepStrictEqual(Outputs.OrdersTableArn.Export, { Name: "x-dev-orders-table-arn" });
+        });
+
+        it("fails on invalid templates", async () => {
+            await assert.rejects(createServerless({ custom: { nameTemplate: "{name}" } }).spawn("package"),
+                /config name template property is invalid: name template "{name}" contains unknown token "name"/);
+            await assert.rejects(createServerless({ custom: { prefix: "p-", typeNameTemplates: { "AWS::S3::Bucket": "{logicalName:upper}" } } }).spawn("package"),
+                /config typeNameTemplates property "AWS::S3::Bucket" is invalid/);
+            await assert.rejects(createServerless({ custom: { prefix: "" } }).spawn("package"),
+                /config prefix property must be nonempty when no name template is specified/);
+        });
+    });
+
+    describe("types config", () => {
+        it("declares new types and overrides the built-in ones", async () => {
+            const { Widget, JobQueue, OrdersTable } = await packageResources({
+                custom: {
+                    prefix: "p-",
+                    types: {
+                        "Custom::*": { noNameInsertion: false, namePropReplacement: "Config.WidgetName", nameCase: "upper" },
+                        "AWS::SQS::Queue": { replaceCharacters: { "_": "." } },
+                        "AWS::DynamoDB::Table": { logicalNameCase: "snake", maxLength: 12, separator: "." },
+                    },
+                },
+                resources: { Resources: { ...resources.Resources, Widget: { Type: "Custom::Widget", Properties: {} } } },
+            });
+
+            assert.deepStrictEqual(Widget.Properties.Config, { WidgetName: "P-WIDGET" });
+            assert.strictEqual(JobQueue.Properties.QueueName, "p.job.queue.fifo");
+            assert.match(OrdersTable.Properties.TableName, /^p-o\.[0-9a-f]{8}$/);
+        });
+
+        it("disables name insertion for a type", async () => {
+            const { OrdersTable } = await packageResources({ custom: { prefix: "p-", types: { "AWS::DynamoDB::Table": { noNameInsertion: true } } } });
+
+            assert.strictEqual(OrdersTable.Properties.TableName, undefined);
+        });
+
+        it("fails on invalid type specs", async () => {
+            const rejects = (types, message) => assert.rejects(createServerless({ custom: { prefix: "p-", types } }).spawn("package"), message);
+
+            await rejects([], /config types property must be an object/);
+            await rejects({ "S3-Bucket": {} }, /config types property "S3-Bucket" is not a resource type of format "Root::Provider::Name"/);
+            await rejects({ "AWS::S3::Bucket": { size: 3 } }, /config types property "AWS::S3::Bucket" contains the unknown properties \["size"\]/);
+            await rejects({ "AWS::S3::Bucket": { maxLength: 0 } }, /config types property "AWS::S3::Bucket" maxLength must be a positive integer/);
+            await rejects({ "AWS::S3::Bucket": { allowedCharacters: "a-" + "\\" } }, /allowedCharacters must be a valid regular expression character set/);
+        });
+    });
+
+    describe("resource metadata", () => {
+        /**
+         * packages the service with the metadata hints added to the resources
+         * @param {Object} metadata - AwsAutoResourceNames metadata by logical resource name
+         * @returns {Promise<Object>}
+         */
+        function packageWithMetadata(metadata) {
+            const withMetadata = { ...resources.Resources };
+
+            Object.keys(metadata).forEach((logicalName) => {
+                withMetadata[logicalName] = { ...withMetadata[logicalName], Metadata: { AwsAutoResourceNames: metadata[logicalName] } };
+            });
+
+            return packageResources({ custom: { prefix: "p-" }, resources: { ...resources, Resources: withMetadata } });
+        }
+
+        it("uses the naming hints of the resource", async () => {
+            const { OrdersTable, JobQueue, Uploads } = await packageWithMetadata({
+                OrdersTable: { suffix: "Orders", prefix: "legacy-" },
+                JobQueue: { template: "{service}-{logicalName:lower}" },
+                Uploads: { skip: true },
+            });
+
+            assert.strictEqual(OrdersTable.Properties.TableName, "legacy-orders");
+            assert.strictEqual(JobQueue.Properties.QueueName, "test_service_jobqueue.fifo");
+            assert.strictEqual(Uploads.Properties.BucketName, "given-uploads");
+        });
+
+        it("names resources of unspecified types by the name property hint", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "p-" },
+                resources: { Resources: { Widget: { Type: "Custom::Widget", Properties: {}, Metadata: { AwsAutoResourceNames: { nameProp: "Config.Name" } } } } },
+            });
+
+            await serverless.spawn("package");
+
+            const { Widget } = serverless.readTemplate("cloudformation-template-update-stack.json").Resources;
+            assert.deepStrictEqual(Widget.Properties.Config, { Name: "p-widget" });
+        });
+
+        it("fails on invalid hints", async () => {
+            await assert.rejects(packageWithMetadata({ OrdersTable: { skip: "yes" } }),
+                /metadata "AwsAutoResourceNames" on resource "OrdersTable" property skip must be a boolean/);
+            await assert.rejects(packageWithMetadata({ OrdersTable: { name: "orders" } }),
+                /metadata "AwsAutoResourceNames" on resource "OrdersTable" contains the unknown properties \["name"\]/);
+            await assert.rejects(packageWithMetadata({ OrdersTable: { suffix: "" } }),
+                /metadata "AwsAutoResourceNames" on resource "OrdersTable" property suffix must be a nonempty string/);
+        });
+    });
+
+    describe("rename check", () => {
+        /**
+         * packages the service with the first prefix and then again with the second one
+         * @returns {Promise<FakeServerless>}
+         */
+        async function packageRenamed(custom = {}, options = {}) {
+            const serverless = createServerless({ custom: { prefix: "first-" } }, options);
+
+            await serverless.spawn("package");
+            serverless.service.custom.awsAutoResourceNames = { prefix: "second-", ...custom };
+            serverless.output.splice(0);
+
+            await serverless.spawn("package");
+            return serverless;
+        }
+
+        it("fails when generated names differ from the previous template", async () => {
+            await assert.rejects(packageRenamed(), (err) => {
+                assert.match(err.message, /would be renamed and therefore replaced by CloudFormation/);
+                assert.match(err.message, /OrdersTable \(AWS::DynamoDB::Table\) TableName: "first-orders-table" -> "second-orders-table"/);
+                return true;
+            });
+        });
+
+        it("warns about renames allowed by option", async () => {
+            const serverless = await packageRenamed({}, { "allow-renames": true });
+
+            assert.ok(serverless.getOutput("warning").some(msg => /will be replaced by CloudFormation/.test(msg)));
+        });
+
+        it("passes when the renamed resources are allowed", async () => {
+            const serverless = createServerless({ custom: { prefix: "first-" } });
+
+            await serverless.spawn("package");
+            serverless.service.custom.awsAutoResourceNames = {
+                prefix: "first-",
+                resourceNameTemplates: { OrdersTable: "renamed-{logicalName}" },
+                renameCheck: { allow: ["OrdersTable"] },
+            };
+
+            await assert.doesNotReject(serverless.spawn("package"));
+            assert.ok(serverless.getOutput("warning").some(msg => /OrdersTable .* -> "renamed-orders-table"/.test(msg)));
+        });
+
+        it("compares with the configured previous template", async () => {
+            const serverless = createServerless({ custom: { prefix: "p-", renameCheck: { previousTemplate: "deployed.json" } } });
+            const deployed = { Resources: { OrdersTable: { Type: "AWS::DynamoDB::Table", Properties: { TableName: "deployed-orders" } } } };
+
+            fs.writeFileSync(path.join(serverless.config.servicePath, "deployed.json"), JSON.stringify(deployed));
+
+            await assert.rejects(serverless.spawn("package"), /OrdersTable \(AWS::DynamoDB::Table\) TableName: "deployed-orders" -> "p-orders-table"/);
+        });
+
+        it("passes when disabled", async () => {
+            await assert.doesNotReject(packageRenamed({ renameCheck: { enabled: false } }));
+        });
+
+        it("keeps failing when packaging again after the check failed", async () => {
+            const serverless = createServerless({ custom: { prefix: "first-" } });
+
+            await serverless.spawn("package");
+            serverless.service.custom.awsAutoResourceNames = { prefix: "second-" };
+
+            await assert.rejects(serverless.spawn("package"), /would be renamed/);
+            await assert.rejects(serverless.spawn("package"), /OrdersTable \(AWS::DynamoDB::Table\) TableName: "first-orders-table" -> "second-orders-table"/);
+            assert.strictEqual(
+                serverless.readTemplate("cloudformation-template-update-stack.json").Resources.OrdersTable.Properties.TableName, "first-orders-table"
+            );
+        });
+
+        it("keeps failing after previewing the renames", async () => {
+            const serverless = createServerless({ custom: { prefix: "first-" } });
+
+            await serverless.spawn("package");
+            serverless.service.custom.awsAutoResourceNames = { prefix: "second-" };
+
+            await serverless.spawn("autonames diff");
+            await assert.rejects(serverless.spawn("package"), /would be renamed/);
+        });
+    });
+
+    describe("name scopes", () => {
+        const scoped = {
+            ...resources,
+            Resources: { ...resources.Resources, AppRole: { Type: "AWS::IAM::Role", Properties: {} }, Bucket: { Type: "AWS::S3::Bucket" } },
+        };
+
+        it("appends qualifiers to names whose scope is wider than the region", async () => {
+            const { OrdersTable, AppRole, Bucket } = await packageResources({ custom: { prefix: "p-", qualifyScopedNames: true }, resources: scoped });
+            const withAccount = await packageResources({ custom: { prefix: "p-", qualifyScopedNames: true, accountId: "123456789012" }, resources: scoped });
+
+            assert.strictEqual(OrdersTable.Properties.TableName, "p-orders-table");
+            assert.strictEqual(AppRole.Properties.RoleName, "p-app-role-us-east-1");
+            assert.strictEqual(Bucket.Properties.BucketName, "p-bucket-us-east-1");
+            assert.match(withAccount.Bucket.Properties.BucketName, /^p-bucket-[0-9a-f]{8}$/);
+        });
+
+        it("omits the qualifier if the template makes the name unique within the scope", async () => {
+            const { AppRole, Bucket } = await packageResources({
+                custom: { nameTemplate: "{region}-{logicalName}", accountAlias: "acme", qualifyScopedNames: true, resourceNameTemplates: { Bucket: "{accountAlias}-{region}-{logicalName}" } },
+                resources: scoped,
+            }, { region: "eu-west-1" });
+
+            assert.strictEqual(AppRole.Properties.RoleName, "eu-west-1-app-role");
+            assert.strictEqual(Bucket.Properties.BucketName, "acme-eu-west-1-bucket");
+        });
+
+        it("fails on invalid config", async () => {
+            await assert.rejects(createServerless({ custom: { prefix: "p-", accountId: "1234" } }).spawn("package"),
+                /config account id property must be a string of 12 digits/);
+            await assert.rejects(createServerless({ custom: { prefix: "p-", types: { "AWS::SQS::Queue": { scope: "stack" } } } }).spawn("package"),
+                /config types property "AWS::SQS::Queue" scope must be one of \["region","account","global"\]/);
+        });
+    });
+
+    describe("name placeholders", () => {
+        it("replaces the placeholders in resources, outputs and the function environment", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "p-", namePlaceholders: true },
+                functions: { ...functions, hello: { ...functions.hello, environment: { TABLE: "${autoname:OrdersTable}" } } },
+                resources: {
+                    Resources: {
+                        ...resources.Resources,
+                        JobQueuePolicy: {
+                            Type: "AWS::SQS::QueuePolicy",
+                            Properties: { Queues: [{ "Fn::Sub": "https://sqs.${AWS::Region}.amazonaws.com/${AWS::AccountId}/${autoname:JobQueue}" }] },
+                        },
+                    },
+                    Outputs: { HelloName: { Value: "${autoname:HelloLambdaFunction}" } },
+                },
+            });
+
+            await serverless.spawn("package");
+
+            const { Resources, Outputs } = serverless.readTemplate("cloudformation-template-update-stack.json");
+            assert.deepStrictEqual(Resources.JobQueuePolicy.Properties.Queues, [
+                { "Fn::Sub": "https://sqs.${AWS::Region}.amazonaws.com/${AWS::AccountId}/p_job_queue.fifo" },
+            ]);
+            assert.strictEqual(Outputs.HelloName.Value, "p-hello");
+            assert.deepStrictEqual(Resources.HelloLambdaFunction.Properties.Environment.Variables, { TABLE: "p-orders-table" });
+        });
+
+        it("replaces the placeholders in the function config on function deploy", async () => {
+            const serverless = createServerless({ custom: { prefix: "the-prefix-", namePlaceholders: true } });
+
+            serverless.service.functions.hello.environment = { QUEUE: "${autoname:JobQueue}" };
+            await serverless.spawn("deploy function");
+
+            assert.strictEqual(serverless.service.functions.hello.name, "the-prefix-hello");
+            assert.strictEqual(serverless.service.functions["process-jobs"].name, "the-prefix-process-dashjobs");
+            assert.strictEqual(serverless.service.functions.hello.environment.QUEUE, "the_prefix_job_queue.fifo");
+        });
+
+        it("inserts names specified by intrinsic functions only as whole value", async () => {
+            const named = { Type: "AWS::SQS::Queue", Properties: { QueueName: { "Fn::Sub": "${AWS::StackName}-queue" } } };
+            const { Whole } = await packageResources({
+                custom: { prefix: "p-", namePlaceholders: true },
+                resources: { Resources: { Named: named, Whole: { Type: "AWS::SNS::Topic", Properties: { DisplayName: "${autoname:Named}" } } } },
+            });
+            const serverless = createServerless({
+                custom: { prefix: "p-", namePlaceholders: true },
+                resources: { Resources: { Named: named, Part: { Type: "AWS::SNS::Topic", Properties: { DisplayName: "queue ${autoname:Named}" } } } },
+            });
+
+            assert.deepStrictEqual(Whole.Properties.DisplayName, named.Properties.QueueName);
+            await assert.rejects(serverless.spawn("package"),
+                /placeholder "\$\{autoname:Named\}" at "Resources.Part.Properties.DisplayName" references a name that is not a string/);
+        });
+
+        it("fails on placeholders referencing no named resource", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "p-", namePlaceholders: true },
+                resources: { Resources: { Topic: { Type: "AWS::SNS::Topic", Properties: { DisplayName: "${autoname:Missing}" } } } },
+            });
+
+            await assert.rejects(serverless.spawn("package"), /placeholder "\$\{autoname:Missing\}" at "Resources.Topic.Properties.DisplayName" references no named resource/);
+        });
+    });
+
+    describe("collision check", () => {
+        it("fails on logical names resulting in the same name", async () => {
+            const serverless = createServerless({
+                resources: { Resources: { ...resources.Resources, ordersTABLE: { Type: "AWS::DynamoDB::Table", Properties: {} } } },
+            });
+
+            await assert.rejects(serverless.spawn("package"),
+                /"OrdersTable" and "ordersTABLE" both use the name "the-prefix-orders-table" in namespace "AWS::DynamoDB::Table"/);
+        });
+
+        it("compares the names of IAM types case insensitively", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "p-", resourceNameTemplates: { AppRole: "{prefix}{logicalName:pascal}", appRole: "{prefix}{logicalName:lower}" } },
+                resources: { Resources: { AppRole: { Type: "AWS::IAM::Role", Properties: {} }, appRole: { Type: "AWS::IAM::Role", Properties: {} } } },
+            });
+
+            await assert.rejects(serverless.spawn("package"), /"AppRole" and "appRole" both use the name "p-approle" in namespace "AWS::IAM::Role"/);
+        });
+
+        it("fails on names already used elsewhere", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "p-", collisionCheck: { existingNames: { "AWS::DynamoDB::Table": ["p-orders-table"] } } },
+            });
+
+            await assert.rejects(serverless.spawn("package"),
+                /"OrdersTable" uses the name "p-orders-table", which is already used in namespace "AWS::DynamoDB::Table"/);
+        });
+
+        it("passes when disabled", async () => {
+            await assert.doesNotReject(packageResources({
+                custom: { prefix: "p-", collisionCheck: { enabled: false }, resourceNameTemplates: { JobQueue: "same", OtherQueue: "same" } },
+                resources: { Resources: { ...resources.Resources, OtherQueue: { Type: "AWS::SQS::Queue", Properties: { FifoQueue: true } } } },
+            }));
+        });
+    });
+
+    describe("audit mode", () => {
+        it("writes the report without changing the templates", async () => {
+            const serverless = createServerless({}, { "autonames-mode": "audit" });
+
+            await serverless.spawn("package");
+
+            const { Resources } = serverless.readTemplate("cloudformation-template-update-stack.json");
+            assert.deepStrictEqual(Resources.OrdersTable.Properties, { BillingMode: "PAY_PER_REQUEST" });
+            assert.deepStrictEqual(serverless.readTemplate("cloudformation-template-create-stack.json").Resources.ServerlessDeploymentBucket.Properties, {});
+
+            const report = serverless.readTemplate("auto-resource-names-report.json");
+            assert.strictEqual(report.resources.find(({ logicalName }) => logicalName === "OrdersTable").value, "the-prefix-orders-table");
+            assert.ok(fs.existsSync(path.join(serverless.packagePath, "auto-resource-names-report.md")));
+        });
+
+        it("fails on unnamed resources if configured to", async () => {
+            const serverless = createServerless({ custom: { prefix: "p-", mode: "audit", audit: { failOnUnnamed: true } } });
+
+            await assert.rejects(serverless.spawn("package"), /OrdersTable/);
+            assert.ok(fs.existsSync(path.join(serverless.packagePath, "auto-resource-names-report.json")));
+        });
+
+        it("leaves the functions unchanged on function deploy", async () => {
+            const serverless = createServerless({ custom: { prefix: "p-", mode: "audit" } });
+
+            await serverless.spawn("deploy function");
+
+            assert.strictEqual(serverless.service.functions.hello.name, undefined);
+        });
+    });
+
+    describe("warnings", () => {
+        const custom = { prefix: "p-", prefx: "typo" };
+        const withUnknownType = {
+            Resources: { ...resources.Resources, Thing: { Type: "Vendor::Some::Thing" }, Other: { Type: "Vendor::Some::Thing" } },
+        };
+
+        it("prints the warnings of all hooks once as summary", async () => {
+            const serverless = createServerless({ custom, resources: withUnknownType });
+
+            await serverless.spawn("package");
+
+            matchSnapshot("plugin-warnings", serverless.getOutput("warning"));
+        });
+
+        it("prints the warnings by the cli without the serverless v3 log utilities", async () => {
+            const serverless = createServerless({ custom, resources: withUnknownType, v3: false });
+
+            await serverless.spawn("package");
+
+            assert.strictEqual(serverless.getOutput("cli").filter(msg => /encountered 3 warnings/.test(msg)).length, 1);
+        });
+
+        it("logs the generated names in verbose mode", async () => {
+            const serverless = createServerless({ custom: { prefix: "p-" } });
+
+            await serverless.spawn("package");
+
+            assert.ok(serverless.getOutput("verbose").includes("AWS Auto Resource Names Plugin: generated name \"p-orders-table\" for \"OrdersTable\""));
+        });
+
+        it("fails on warnings in strict mode", async () => {
+            const serverless = createServerless({ custom: { prefix: "p-", strict: true }, resources: withUnknownType });
+
+            await assert.rejects(serverless.spawn("package"), /strict mode: behaviour for resource type "Vendor::Some::Thing"/);
+        });
+    });
+
+    describe("preview commands", () => {
+        it("lists the names", async () => {
+            const serverless = createServerless();
+
+            await serverless.spawn("autonames list");
+
+            matchSnapshot("plugin-list", serverless.getOutput("text"));
+        });
+
+        it("lists the names as json", async () => {
+            const serverless = createServerless({}, { json: true });
+
+            await serverless.spawn("autonames list");
+
+            const records = JSON.parse(serverless.getOutput("text")[0]);
+            assert.deepStrictEqual(records.find(({ logicalName }) => logicalName === "JobQueue"), {
+                logicalName: "JobQueue", type: "AWS::SQS::Queue", nameProp: "QueueName", value: "the_prefix_job_queue.fifo", status: "generated",
+            });
+        });
+
+        it("lists the renames without failing", async () => {
+            const serverless = createServerless({ custom: { prefix: "first-" } });
+
+            await serverless.spawn("autonames diff");
+            assert.deepStrictEqual(serverless.getOutput("text"), ["No previously deployed template found to compare the names with."]);
+
+            serverless.service.custom.awsAutoResourceNames = { prefix: "second-" };
+            serverless.output.splice(0);
+            await serverless.spawn("autonames diff");
+
+            matchSnapshot("plugin-diff", serverless.getOutput("text"));
+        });
+    });
+
+    describe("lockfile", () => {
+        /**
+         * locks the names with the first prefix and changes the prefix to the second one afterwards
+         * @returns {Promise<FakeServerless>}
+         */
+        async function lockAndChangePrefix() {
+            const serverless = createServerless({ custom: { prefix: "first-" } });
+
+            await serverless.spawn("autonames lock");
+            serverless.service.custom.awsAutoResourceNames = { prefix: "second-" };
+            serverless.output.splice(0);
+            return serverless;
+        }
+
+        const readLockfile = serverless => JSON.parse(fs.readFileSync(path.join(serverless.config.servicePath, "auto-resource-names.lock.json")));
+
+        it("writes the names of the stage and region", async () => {
+            const serverless = createServerless({ custom: { prefix: "first-" } });
+
+            await serverless.spawn("autonames lock");
+
+            const { resources, exports } = readLockfile(serverless).stages.dev["us-east-1"];
+            assert.deepStrictEqual(resources.JobQueue, { type: "AWS::SQS::Queue", name: "first_job_queue.fifo" });
+            assert.deepStrictEqual(resources.HelloLambdaFunction, { type: "AWS::Lambda::Function", name: "first-hello" });
+            assert.strictEqual(resources.Uploads, undefined);
+            assert.deepStrictEqual(exports, {});
+        });
+
+        it("keeps the locked names when packaging", async () => {
+            const serverless = await lockAndChangePrefix();
+
+            await serverless.spawn("package");
+
+            const { Resources } = serverless.readTemplate("cloudformation-template-update-stack.json");
+            assert.strictEqual(Resources.OrdersTable.Properties.TableName, "first-orders-table");
+            assert.strictEqual(Resources.HelloLambdaFunction.Properties.FunctionName, "first-hello");
+            assert.strictEqual(Resources.HelloLogGroup.Properties.LogGroupName, "/aws/lambda/first-hello");
+            assert.strictEqual(serverless.readTemplate("cloudformation-template-create-stack.json").Resources.ServerlessDeploymentBucket.Properties.BucketName,
+                "first-serverless-deployment-bucket");
+            assert.ok(serverless.getOutput("warning")[0].includes("resources and exports whose generated names differ from their locked names"));
+        });
+
+        it("keeps the locked names on function deploy and in variables", async () => {
+            const serverless = await lockAndChangePrefix();
+
+            await serverless.spawn("deploy function");
+
+            assert.strictEqual(serverless.service.functions.hello.name, "first-hello");
+            assert.strictEqual(await serverless.resolveVariable("${autoname(JobQueue)}"), "first_job_queue.fifo");
+        });
+
+        it("moves the locked names to the new logical name", async () => {
+            const serverless = await lockAndChangePrefix();
+            const { Resources } = serverless.service.resources;
+
+            serverless.plugins[0].environment.options = { from: "OrdersTable", to: "Orders" };
+            await serverless.spawn("autonames move");
+
+            Resources.Orders = Resources.OrdersTable;
+            delete Resources.OrdersTable;
+            serverless.service.resources.Outputs = {};
+            serverless.plugins[0].environment.options = {};
+            await serverless.spawn("autonames lock");
+
+            assert.strictEqual(serverless.service.provider.compiledCloudFormationTemplate.Resources.Orders.Properties.TableName, "first-orders-table");
+            assert.strictEqual(readLockfile(serverless).stages.dev["us-east-1"].resources.Orders.name, "first-orders-table");
+            assert.ok(!serverless.getOutput("warning").some(msg => /removed the locked names/.test(msg)));
+        });
+
+        it("warns about locked names that are removed", async () => {
+            const serverless = await lockAndChangePrefix();
+
+            delete serverless.service.resources.Resources.OrdersTable;
+            serverless.service.resources.Outputs = {};
+            await serverless.spawn("autonames lock");
+
+            assert.ok(serverless.getOutput("warning").some(msg => /removed the locked names of OrdersTable, which are not in the template anymore/.test(msg)));
+        });
+
+        it("fails to move names without lockfile", async () => {
+            const serverless = createServerless({}, { from: "OrdersTable", to: "Orders" });
+
+            await assert.rejects(serverless.spawn("autonames move"), /lockfile auto-resource-names.lock.json does not exist/);
+        });
+    });
+
+    describe("variables", () => {
+        it("resolves to the names inserted into the template", async () => {
+            const serverless = createServerless({}, { stage: "prod" });
+            const variables = [
+                "${autoname(JobQueue)}",
+                "${autoname:JobQueue}",
+                "${autoname(hello, AWS::Lambda::Function)}",
+                "${autoname:ProcessDashjobsLambdaFunction}",
+                "${autoname(Uploads)}",
+                "${autoname(IamRoleLambdaExecution, AWS::IAM::Role)}",
+                "${autoname(ProcessDashjobsLogGroup, AWS::Logs::LogGroup)}",
+            ];
+            const values = [];
+
+            for(const variable of variables) {
+                values.push(await serverless.resolveVariable(variable, { stage: "prod" }));
+            }
+
+            await serverless.spawn("package");
+
+            const { Resources } = serverless.readTemplate("cloudformation-template-update-stack.json");
+            assert.deepStrictEqual(values, [
+                Resources.JobQueue.Properties.QueueName,
+                Resources.JobQueue.Properties.QueueName,
+                Resources.HelloLambdaFunction.Properties.FunctionName,
+                Resources.ProcessDashjobsLambdaFunction.Properties.FunctionName,
+                "given-uploads",
+                Resources.IamRoleLambdaExecution.Properties.RoleName,
+                Resources.ProcessDashjobsLogGroup.Properties.LogGroupName,
+            ]);
+        });
+
+        it("resolves log groups of functions to the names derived from the function names", async () => {
+            const serverless = createServerless({ custom: { prefix: "p-" } });
+
+            assert.strictEqual(await serverless.resolveVariable("${autoname(HelloLogGroup, AWS::Logs::LogGroup)}"), "/aws/lambda/p-hello");
+            assert.strictEqual(await serverless.resolveVariable("${autoname(OtherLogGroup, AWS::Logs::LogGroup)}"), "p-other-log-group");
+        });
+
+        it("fails on resources of function events that keep the names serverless gives them", async () => {
+            const serverless = createServerless({
+                functions: { hello: { handler: "handler.hello", events: [{ sns: "alerts" }] } },
+            });
+
+            await assert.rejects(serverless.resolveVariable("${autoname(SNSTopicAlerts, AWS::SNS::Topic)}"), /serverless generates for a function event/);
+            await assert.rejects(serverless.resolveVariable("${autoname(HelloEventBridgeRule1, AWS::Events::Rule)}"), /serverless generates for a function event/);
+        });
+
+        it("uses the naming hints of the resource", async () => {
+            const serverless = createServerless({
+                resources: { Resources: { Topic: { Type: "AWS::SNS::Topic", Metadata: { AwsAutoResourceNames: { template: "{logicalName}-{stage}" } } } } },
+            });
+
+            assert.strictEqual(await serverless.resolveVariable("${autoname(Topic)}"), "topic-dev");
+        });
+
+        it("fails on variables that reference no named resource", async () => {
+            const serverless = createServerless({
+                resources: { Resources: { ...resources.Resources, Skipped: { Type: "AWS::SNS::Topic", Metadata: { AwsAutoResourceNames: { skip: true } } } } },
+            });
+
+            await assert.rejects(serverless.resolveVariable("${autoname(Missing)}"), /references no resource of the resources config/);
+            await assert.rejects(serverless.resolveVariable("${autoname(JobQueue, AWS::SNS::Topic)}"), /specifies the type "AWS::SNS::Topic" of resource "JobQueue", which is of type "AWS::SQS::Queue"/);
+            await assert.rejects(serverless.resolveVariable("${autoname(Skipped)}"), /resource "Skipped" of type "AWS::SNS::Topic" is not named by the plugin \(skipped: metadata\)/);
+            await assert.rejects(serverless.resolveVariable("${autoname(a, b, c)}"), /must specify the logical name of the resource and optionally its type/);
+        });
+
+        it("fails in audit mode", async () => {
+            const serverless = createServerless();
+
+            await assert.rejects(serverless.resolveVariable("${autoname(JobQueue)}", { "autonames-mode": "audit" }), /cannot be resolved in audit mode/);
+        });
+
+        it("resolves export variables to imports of the outputs of other services", async () => {
+            const serverless = createServerless({ custom: { prefix: "p-", exportNameTemplate: "{service}-{stage}-{logicalName}" } });
+
+            assert.deepStrictEqual(await serverless.resolveVariable("${autoexport:users-service:UsersTableArn}", { stage: "prod" }), {
+                "Fn::ImportValue": "users-service-prod-users-table-arn",
+            });
+            assert.deepStrictEqual(await serverless.resolveVariable("${autoexport(users-service, UsersTableArn)}"), {
+                "Fn::ImportValue": "users-service-dev-users-table-arn",
+            });
+        });
+
+        it("fails on export variables without the service in the export name template", async () => {
+            const serverless = createServerless();
+
+            await assert.rejects(serverless.resolveVariable("${autoexport:users-service:UsersTableArn}"), /requires the export name template "\{prefix\}\{logicalName\}" to contain the \{service\} token/);
+            await assert.rejects(serverless.resolveVariable("${autoexport:UsersTableArn}"), /must specify the service and the logical name of its output/);
+        });
+    });
+
+    describe("exports", () => {
+        const outputs = {
+            TableArn: { Value: "arn" },
+            DebugArn: { Value: "arn" },
+            ApiUrl: { Value: "url" },
+            Explicit: { Value: "value", Export: {} },
+            Named: { Value: "value", Export: { Name: "given-name" } },
+        };
+
+        /**
+         * packages the service with the outputs and returns their export names by logical name
+         * @param {Object} custom - plugin config
+         * @param {Object?} exported - outputs of the service
+         * @returns {Promise<Object>}
+         */
+        async function packageExports(custom, exported = outputs) {
+            const serverless = createServerless({ service: "orders", stage: "prod", custom: { prefix: "svc-", ...custom }, resources: { Outputs: exported } });
+
+            await serverless.spawn("package");
+
+            const { Outputs } = serverless.readTemplate("cloudformation-template-update-stack.json");
+            return Object.keys(exported).reduce((names, logicalName) => ({
+                ...names, [logicalName]: (Outputs[logicalName].Export || {}).Name,
+            }), {});
+        }
+
+        it("exports the outputs selected by the exports config with their templates", async () => {
+            assert.deepStrictEqual(await packageExports({
+                generateExports: true,
+                exportPrefix: "exp-",
+                exports: {
+                    include: ["*Arn", "ApiUrl"],
+                    exclude: ["DebugArn"],
+                    templates: { ApiUrl: "{service}-{stage}-api-url" },
+                },
+            }), {
+                TableArn: "exp-table-arn",
+                DebugArn: undefined,
+                ApiUrl: "orders-prod-api-url",
+                Explicit: "exp-explicit",
+                Named: "given-name",
+            });
+        });
+
+        it("sanitizes and shortens generated export names", async () => {
+            const { TableArn } = await packageExports({
+                generateExports: true, exportNameTemplate: "{service}_{logicalName}-" + "x".repeat(300),
+            }, { TableArn: { Value: "arn" } });
+
+            assert.strictEqual(TableArn.length, 255);
+            assert.ok(TableArn.startsWith("orders-table-arn-"));
+        });
+
+        it("fails on invalid exports", async () => {
+            await assert.rejects(packageExports({ generateExports: true }, { Out: { Value: "v", Export: "name" } }),
+                /property "Export" must be an object on output "Out"/);
+            await assert.rejects(packageExports({ generateExports: true }, { Out: { Value: "v", Export: { Name: "invalid_name" } } }),
+                /export name of output "Out" is invalid/);
+            await assert.rejects(packageExports({ generateExports: true, exports: { include: "*" } }),
+                /config exports include property must be a list of output logical name patterns/);
+        });
+
+        it("replaces export placeholders by imports of the export names other services generate", async () => {
+            const { Queue } = await packageResources({
+                custom: { prefix: "svc-", exportNameTemplate: "{service}-{stage}-{logicalName}", namePlaceholders: true },
+                resources: {
+                    Resources: {
+                        Queue: { Type: "AWS::SQS::Queue", Properties: { Tags: [{ Key: "table", Value: "${autoexport:users-service:UsersTableArn}" }] } },
+                    },
+                },
+            });
+
+            assert.deepStrictEqual(Queue.Properties.Tags[0].Value, { "Fn::ImportValue": "users-service-dev-users-table-arn" });
+        });
+
+        it("fails on export placeholders that are part of a value", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "svc-", namePlaceholders: true },
+                resources: { Resources: { Queue: { Type: "AWS::SQS::Queue", Properties: { Tags: [{ Key: "table", Value: "arn ${autoexport:users:Arn}" }] } } } },
+            });
+
+            await assert.rejects(serverless.spawn("package"), /can therefore only be used as the whole value/);
+        });
+    });
+
+    describe("type catalog", () => {
+        it("inserts the names into the name properties of the catalog", async () => {
+            const { JobQueue, Cluster, Database, GlueDatabase } = await packageResources({
+                custom: { prefix: "p-" },
+                resources: {
+                    Resources: {
+                        JobQueue: { Type: "AWS::Batch::JobQueue", Properties: {} },
+                        Cluster: { Type: "AWS::ECS::Cluster", Properties: {} },
+                        Database: { Type: "AWS::RDS::DBInstance", Properties: {} },
+                        GlueDatabase: { Type: "AWS::Glue::Database", Properties: { DatabaseInput: {} } },
+                    },
+                },
+            });
+
+            assert.strictEqual(JobQueue.Properties.JobQueueName, "p-job-queue");
+            assert.strictEqual(Cluster.Properties.ClusterName, "p-cluster");
+            assert.strictEqual(Database.Properties.DBInstanceIdentifier, "p-database");
+            assert.deepStrictEqual(GlueDatabase.Properties.DatabaseInput, { Name: "p-glue-database" });
+        });
+
+        it("names the resources of all catalog types", async () => {
+            const serverless = createServerless({
+                custom: { prefix: "p-" },
+                resources: {
+                    Resources: Object.keys(catalog.types).map(type => type.replace(/\*/g, "Example")).reduce((all, type) => ({
+                        ...all, [type.replace(/::/g, "")]: { Type: type, Properties: {} },
+                    }), {}),
+                },
+            });
+
+            await serverless.spawn("package");
+
+            assert.deepStrictEqual(serverless.getOutput("warning"), []);
+        });
+
+        it("names the specification version of the catalog", async () => {
+            const serverless = createServerless({ resources: { Resources: { Thing: { Type: "AWS::Unknown::Thing", Properties: {} } } } });
+
+            await serverless.spawn("autonames list");
+
+            assert.ok(serverless.getOutput("text").includes("Type catalog built from CloudFormation resource specification 117.0.0"));
+            assert.ok(serverless.getOutput("warning").some(msg => (
+                msg.includes("not specified in the type catalog (CloudFormation resource specification 117.0.0)")
+            )));
+        });
+    });
+
+    describe("name constraints", () => {
+        const longPrefix = "a-very-long-prefix-for-the-service-that-is-quite-long-indeed-";
+
+        it("shortens names exceeding the maximum length of their type by a hash of the full name", async () => {
+            const first = await packageResources({ custom: { prefix: longPrefix } });
+            const second = await packageResources({ custom: { prefix: longPrefix } });
+            const { FunctionName } = first.ProcessDashjobsLambdaFunction.Properties;
+
+            assert.strictEqual(FunctionName.length, 64);
+            assert.match(FunctionName, /^a-very-long-prefix-for-the-service-that-is-quite-long-i-[0-9a-f]{8}$/);
+            assert.strictEqual(second.ProcessDashjobsLambdaFunction.Properties.FunctionName, FunctionName);
+            assert.notStrictEqual(first.HelloLambdaFunction.Properties.FunctionName, FunctionName);
+        });
+
+        it("keeps the .fifo suffix when shortening queue names", async () => {
+            const { JobQueue } = await packageResources({ custom: { prefix: longPrefix.repeat(2) } });
+
+            assert.strictEqual(JobQueue.Properties.QueueName.length, 80);
+            assert.match(JobQueue.Properties.QueueName, /_[0-9a-f]{8}\.fifo$/);
+        });
+
+        it("replaces the characters that are not allowed by the type", async () => {
+            const { OrdersTable, Bucket } = await packageResources({
+                custom: { prefix: "My Service+" },
+                resources: { Resources: { ...resources.Resources, Bucket: { Type: "AWS::S3::Bucket" } } },
+            });
+
+            assert.strictEqual(OrdersTable.Properties.TableName, "My-Service-orders-table");
+            assert.strictEqual(Bucket.Properties.BucketName, "my-service-bucket");
+        });
+
+        it("fails on specified names that break the constraints of their type", async () => {
+            const serverless = createServerless({
+                resources: { Resources: { OrdersTable: { Type: "AWS::DynamoDB::Table", Properties: { TableName: "orders table" } } } },
+            });
+
+            await assert.rejects(serverless.spawn("package"),
+                /name of resource "OrdersTable" of type "AWS::DynamoDB::Table" is invalid: "orders table" contains the illegal characters " "/);
+        });
+    });
+
+    describe("nested stacks", () => {
+        /**
+         * creates a stand-in for serverless-plugin-split-stacks, which moves the resources
+         * to a nested stack template written to the package directory
+         * @param {FakeServerless} serverless
+         * @param {String[]} logicalNames - logical names of the moved resources
+         * @returns {Object} - plugin
+         */
+        function createSplitStacksPlugin(serverless, logicalNames) {
+            return {
+                hooks: {
+                    "after:aws:package:finalize:mergeCustomProviderResources": () => {
+                        const template = serverless.service.provider.compiledCloudFormationTemplate;
+                        const nested = { AWSTemplateFormatVersion: "2010-09-09", Resources: {}, Outputs: {} };
+
+                        logicalNames.forEach((logicalName) => {
+                            nested.Resources[logicalName] = template.Resources[logicalName];
+                            delete template.Resources[logicalName];
+                        });
+
+                        template.Resources.NestedStack = {
+                            Type: "AWS::CloudFormation::Stack",
+                            Properties: { TemplateURL: { "Fn::Join": ["/", ["https://s3.amazonaws.com", "bucket", "cloudformation-template-nested-stack.json"]] } },
+                        };
+                        serverless.writeTemplate("cloudformation-template-nested-stack.json", nested);
+                    },
+                },
+            };
+        }
+
+        /**
+         * packages the service with the split stacks stand-in running before or after the plugin
+         * @param {Boolean} splitFirst
+         * @param {Object?} params - parameters of the fake serverless object
+         * @returns {Promise<FakeServerless>}
+         */
+        async function packageSplit(splitFirst, params = {}) {
+            const serverless = createServerless({ custom: { prefix: "p-" }, ...params });
+            const splitStacks = createSplitStacksPlugin(serverless, ["HelloLambdaFunction", "HelloLogGroup", "JobQueue"]);
+
+            if(splitFirst) {
+                serverless.plugins.unshift(splitStacks);
+            } else {
+                serverless.plugins.push(splitStacks);
+            }
+
+            await serverless.spawn("package");
+            return serverless;
+        }
+
+        it("names the resources of nested stack templates regardless of the plugin order", async () => {
+            const [splitFirst, splitLast] = [await packageSplit(true), await packageSplit(false)];
+            const templates = serverless => ({
+                root: serverless.readTemplate("cloudformation-template-update-stack.json"),
+                nested: serverless.readTemplate("cloudformation-template-nested-stack.json"),
+            });
+
+            assert.deepStrictEqual(templates(splitFirst), templates(splitLast));
+            matchSnapshot("plugin-nested-stacks", templates(splitFirst));
+        });
+
+        it("keeps the nested stack templates unchanged when disabled", async () => {
+            const serverless = await packageSplit(true, { custom: { prefix: "p-", nestedStacks: { enabled: false } } });
+            const { Resources } = serverless.readTemplate("cloudformation-template-nested-stack.json");
+
+            assert.deepStrictEqual(Resources.JobQueue.Properties, { FifoQueue: true });
+        });
+
+        it("checks collisions across the stacks", async () => {
+            await assert.rejects(packageSplit(true, {
+                custom: { prefix: "p-", resourceNameTemplates: { JobQueue: "same", OtherQueue: "same" } },
+                resources: { Resources: { ...resources.Resources, OtherQueue: { Type: "AWS::SQS::Queue", Properties: { FifoQueue: true } } } },
+            }), /"OtherQueue" and "JobQueue" both use the name "same.fifo"/);
+        });
+    });
+});
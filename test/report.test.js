@@ -0,0 +1,109 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { applyAutoNames } = require("../lib/auto-names");
+const { formatMarkdownReport, formatWarningSummary } = require("../lib/report");
+const { formatMarkdownTable, formatTable } = require("../lib/table");
+const { matchSnapshot } = require("./helpers/snapshot");
+
+describe("report", () => {
+    it("formats the audit report as markdown", () => {
+        const markdown = formatMarkdownReport({
+            service: "orders",
+            stage: "dev",
+            region: "us-east-1",
+            specificationVersion: "117.0.0",
+            summary: { unnamed: 1, provided: 1, skipped: 0, unnamedPolicies: 0, unexported: 1, renamed: 1 },
+            resources: [
+                { logicalName: "Queue", type: "AWS::SQS::Queue", nameProp: "QueueName", value: "svc-queue", status: "generated" },
+                { logicalName: "Topic", type: "AWS::SNS::Topic", nameProp: "TopicName", value: "given", status: "provided" },
+            ],
+            policies: [],
+            exports: [{ logicalName: "QueueUrl", value: "svc-queue-url", status: "generated" }],
+            renames: [{ logicalName: "Queue", type: "AWS::SQS::Queue", nameProp: "QueueName", previousValue: "old", value: "svc-queue" }],
+            warnings: [{ kind: "skippedName", type: "AWS::SNS::Topic", logicalName: "Skipped" }],
+        });
+
+        assert.ok(markdown.startsWith("# AWS Auto Resource Names Audit Report\n\n"
+            + "Service `orders` in stage `dev` and region `us-east-1`, type catalog built from CloudFormation resource specification 117.0.0.\n"));
+        assert.ok(markdown.includes("| Resources that would be named | 1 |"));
+        assert.ok(markdown.includes("| Queue | AWS::SQS::Queue | QueueName | \"svc-queue\" | generated |"));
+        assert.ok(markdown.includes("## Exports\n\n| Output | Export Name | Status |\n| --- | --- | --- |\n| QueueUrl | \"svc-queue-url\" | generated |"));
+        assert.ok(markdown.includes("| Queue | AWS::SQS::Queue | QueueName | \"old\" | \"svc-queue\" |"));
+        assert.ok(markdown.endsWith("## Warnings\n\n````\nresources whose name generation is skipped by their metadata:\n  AWS::SNS::Topic: Skipped\n````\n"));
+        assert.ok(!markdown.includes("## Inline Policies"));
+    });
+
+    it("formats the audit report of a template as markdown", () => {
+        const { report } = applyAutoNames({
+            Resources: {
+                Queue: { Type: "AWS::SQS::Queue" },
+                Topic: { Type: "AWS::SNS::Topic", Properties: { TopicName: "given" } },
+                Skipped: { Type: "AWS::SNS::Topic", Metadata: { AwsAutoResourceNames: { skip: true } } },
+                Role: { Type: "AWS::IAM::Role", Properties: { Policies: [{ PolicyDocument: { Statement: [] } }] } },
+                Thing: { Type: "Vendor::Some::Thing" },
+            },
+            Outputs: { QueueUrl: { Value: { Ref: "Queue" } } },
+        }, { prefix: "svc-", mode: "audit", generateExports: true, service: "orders" }, {
+            previousTemplate: { Resources: { Queue: { Type: "AWS::SQS::Queue", Properties: { QueueName: "old" } } } },
+            nestedTemplates: { Storage: { Resources: { Table: { Type: "AWS::DynamoDB::Table" } } } },
+        });
+
+        matchSnapshot("report-markdown", formatMarkdownReport(report).split("\n"));
+    });
+
+    it("adds the stack column for templates with nested stacks", () => {
+        const markdown = formatMarkdownReport({
+            service: "orders",
+            stage: "dev",
+            region: "us-east-1",
+            specificationVersion: "117.0.0",
+            summary: { unnamed: 2, provided: 0, skipped: 0, unnamedPolicies: 0, unexported: 0, renamed: 0 },
+            resources: [
+                { logicalName: "Queue", type: "AWS::SQS::Queue", nameProp: "QueueName", value: "svc-queue", status: "generated" },
+                { logicalName: "Table", type: "AWS::DynamoDB::Table", nameProp: "TableName", value: "svc-table", status: "generated", stack: "Storage" },
+            ],
+            policies: [],
+            exports: [],
+            warnings: [],
+        });
+
+        assert.ok(markdown.includes("| Logical ID | Type | Name Property | Value | Status | Stack |"));
+        assert.ok(markdown.includes("| Queue | AWS::SQS::Queue | QueueName | \"svc-queue\" | generated | (root) |"));
+        assert.ok(markdown.includes("| Table | AWS::DynamoDB::Table | TableName | \"svc-table\" | generated | Storage |"));
+    });
+
+    it("groups the warnings by kind and type", () => {
+        assert.strictEqual(formatWarningSummary([
+            { kind: "unknownType", type: "Vendor::A::Thing", logicalName: "A" },
+            { kind: "unknownType", type: "Vendor::A::Thing", logicalName: "B" },
+            { kind: "unknownType", type: "Vendor::B::Thing", logicalName: "C" },
+            { kind: "skippedName", type: "AWS::SQS::Queue", logicalName: "Queue" },
+            { kind: "ignoredConfigProperty", property: "prefx" },
+            { kind: "ignoredConfigProperty", property: "prefx" },
+        ]).replace(/\(CloudFormation resource specification [^)]*\)/, "(CloudFormation resource specification x)"), [
+            "resources of types that are not specified in the type catalog (CloudFormation resource specification x), "
+            + "specify them in the \"types\" config or create a GitHub Issue for them to be added to the plugin:",
+            "  Vendor::A::Thing: A, B",
+            "  Vendor::B::Thing: C",
+            "resources whose name generation is skipped by their metadata:",
+            "  AWS::SQS::Queue: Queue",
+            "unknown config properties, which are ignored:",
+            "  prefx",
+        ].join("\n"));
+    });
+});
+
+describe("table", () => {
+    it("aligns the columns of text tables", () => {
+        assert.strictEqual(formatTable(["Name", "Value"], [["a", "1"], ["long name", 22]]), [
+            "Name       Value",
+            "---------  -----",
+            "a          1",
+            "long name  22",
+        ].join("\n"));
+    });
+
+    it("escapes pipes in markdown tables", () => {
+        assert.strictEqual(formatMarkdownTable(["Name"], [["a|b"]]), "| Name |\n| --- |\n| a\\|b |");
+    });
+});
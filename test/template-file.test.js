@@ -0,0 +1,52 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { formatTemplate, parseTemplate } = require("../lib/template-file");
+
+describe("template files", () => {
+    it("parses json templates", () => {
+        assert.deepStrictEqual(parseTemplate("{ \"Resources\": {} }"), { template: { Resources: {} }, format: "json" });
+    });
+
+    it("parses the short form tags of yaml templates into their long form", () => {
+        const { template, format } = parseTemplate([
+            "Resources:",
+            "  Queue:",
+            "    Type: AWS::SQS::Queue",
+            "    Properties:",
+            "      DelaySeconds: !Ref Delay",
+            "      QueueName: !Sub ${AWS::StackName}-queue",
+            "      Tags:",
+            "        - Key: arn",
+            "          Value: !GetAtt Topic.TopicArn",
+            "        - Key: joined",
+            "          Value: !Join [\"-\", [!Ref AWS::Region, !Select [0, !GetAZs \"\"]]]",
+            "Conditions:",
+            "  IsProd: !Equals [!Ref Stage, prod]",
+        ].join("\n"));
+
+        assert.strictEqual(format, "yaml");
+        assert.deepStrictEqual(template, {
+            Resources: {
+                Queue: {
+                    Type: "AWS::SQS::Queue",
+                    Properties: {
+                        DelaySeconds: { Ref: "Delay" },
+                        QueueName: { "Fn::Sub": "${AWS::StackName}-queue" },
+                        Tags: [
+                            { Key: "arn", Value: { "Fn::GetAtt": ["Topic", "TopicArn"] } },
+                            { Key: "joined", Value: { "Fn::Join": ["-", [{ Ref: "AWS::Region" }, { "Fn::Select": [0, { "Fn::GetAZs": "" }] }]] } },
+                        ],
+                    },
+                },
+            },
+            Conditions: { IsProd: { "Fn::Equals": [{ Ref: "Stage" }, "prod"] } },
+        });
+    });
+
+    it("formats templates as json or yaml", () => {
+        const template = { Resources: { Queue: { Type: "AWS::SQS::Queue", Properties: { QueueName: { "Fn::Sub": "${AWS::StackName}" } } } } };
+
+        assert.strictEqual(formatTemplate(template, "json"), JSON.stringify(template, null, 2) + "\n");
+        assert.deepStrictEqual(parseTemplate(formatTemplate(template, "yaml")), { template, format: "yaml" });
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { AutoNames, TypeID, applyAutoNames } = require("../lib/auto-names");
+const catalog = require("../lib/catalog.json");
+const { matchSnapshot } = require("./helpers/snapshot");
+
+// resource types of the catalog, where wildcard types are represented by an example type
+const types = Object.keys(catalog.types).map(type => type.replace(/\*/g, "Example"));
+
+/**
+ * creates a template containing a resource of each catalog type, named after its type
+ * @param {String} logicalNameSuffix - appended to the logical names
+ * @returns {Object}
+ */
+function createCatalogTemplate(logicalNameSuffix = "") {
+    return {
+        Resources: types.reduce((resources, type) => ({
+            ...resources,
+            [type.replace(/::/g, "") + logicalNameSuffix]: { Type: type, Properties: {} },
+        }), {}),
+    };
+}
+
+describe("type catalog", () => {
+    const autoNames = new AutoNames({ prefix: "svc-" });
+
+    it("creates a type specification for each type", () => {
+        types.forEach((type) => {
+            const typeSpec = autoNames.findTypeSpec(TypeID.parse(type));
+
+            assert.ok(typeSpec, `no type specification found for ${type}`);
+            assert.ok(typeSpec.isApplicable(TypeID.parse(type)));
+        });
+    });
+
+    it("generates the names of all types", () => {
+        const { template, report } = applyAutoNames(createCatalogTemplate(), { prefix: "svc-" });
+
+        assert.deepStrictEqual(report.warnings, []);
+
+        matchSnapshot("catalog-names", types.reduce((names, type) => {
+            const resource = template.Resources[type.replace(/::/g, "")];
+            const typeSpec = autoNames.findTypeSpec(TypeID.parse(type));
+
+            return {
+                ...names,
+                [type]: typeSpec.isNameInserted() ? { [typeSpec.getNameProp()]: typeSpec.getNamePropValue(resource.Properties) } : null,
+            };
+        }, {}));
+    });
+
+    it("generates names satisfying the constraints of all types", () => {
+        const suffix = "WithALogicalNameThatExceedsTheMaximumNameLengthOfMostTypes".repeat(5);
+        const { template } = applyAutoNames(createCatalogTemplate(suffix), { prefix: "svc-" });
+
+        types.forEach((type) => {
+            const typeSpec = autoNames.findTypeSpec(TypeID.parse(type));
+            const value = typeSpec.getNamePropValue(template.Resources[type.replace(/::/g, "") + suffix].Properties);
+
+            assert.strictEqual(typeSpec.getNameValueViolation(value), undefined, `invalid name generated for ${type}`);
+        });
+    });
+
+    it("tags the resources of all types with tags", () => {
+        const { template, report } = applyAutoNames(createCatalogTemplate(), { prefix: "svc-", provenanceTags: { enabled: true } });
+
+        assert.deepStrictEqual(report.warnings, []);
+
+        types.forEach((type) => {
+            const typeSpec = autoNames.findTypeSpec(TypeID.parse(type));
+            const tags = template.Resources[type.replace(/::/g, "")].Properties[typeSpec.tagsProp];
+
+            assert.strictEqual(tags !== undefined, typeSpec.isNameInserted() && typeSpec.tagsFormat !== "none", `tags of ${type}`);
+        });
+    });
+});
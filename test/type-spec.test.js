@@ -0,0 +1,196 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { TypeID, TypeSpec } = require("../lib/auto-names");
+
+const pluginConfig = {
+    nameTemplate: "{prefix}{logicalName}",
+    templateValues: { prefix: "svc-", service: "svc", stage: "dev", region: "eu-west-1" },
+};
+
+describe("TypeID", () => {
+    it("parses and formats resource types", () => {
+        const typeId = TypeID.parse("AWS::S3::Bucket");
+
+        assert.deepStrictEqual([typeId.root, typeId.provider, typeId.name], ["AWS", "S3", "Bucket"]);
+        assert.strictEqual(typeId.toString(), "AWS::S3::Bucket");
+        assert.strictEqual(TypeID.parse("Custom::*").toString(), "Custom::*");
+        assert.strictEqual(TypeID.parse("not a type"), undefined);
+    });
+
+    it("matches wildcard parts", () => {
+        assert.ok(TypeID.equal(TypeID.parse("AWS::S3::*"), TypeID.parse("AWS::S3::Bucket")));
+        assert.ok(TypeID.equal(TypeID.parse("Custom::*"), new TypeID("Custom", "Thing", undefined)));
+        assert.ok(!TypeID.equal(TypeID.parse("AWS::S3::Bucket"), TypeID.parse("AWS::SQS::Queue")));
+    });
+});
+
+describe("TypeSpec", () => {
+    it("derives the name property from the type name", () => {
+        assert.strictEqual(new TypeSpec(TypeID.parse("AWS::SQS::Queue")).getNameProp(), "QueueName");
+        assert.strictEqual(new TypeSpec(TypeID.parse("AWS::Events::Rule"), { namePropIncludesTypeName: false }).getNameProp(), "Name");
+        assert.strictEqual(new TypeSpec(TypeID.parse("AWS::RDS::DBInstance"), { namePropReplacement: "DBInstanceIdentifier" }).getNameProp(), "DBInstanceIdentifier");
+    });
+
+    it("rejects unknown options", () => {
+        assert.throws(() => new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { maxLenght: 3 }), /Invalid TypeSpec Options/);
+    });
+
+    describe("applyType", () => {
+        it("inserts the generated name", () => {
+            const element = {};
+            const result = new TypeSpec(TypeID.parse("AWS::SQS::Queue")).applyType({
+                element, logicalElement: {}, logicalName: "OrderQueue", pluginConfig,
+            });
+
+            assert.deepStrictEqual(result, { nameValue: "svc-order-queue", provided: false });
+            assert.deepStrictEqual(element, { QueueName: "svc-order-queue" });
+        });
+
+        it("inserts the name at nested name properties, keeping the other properties", () => {
+            const element = { BackupPlan: { BackupPlanRule: [] } };
+            const spec = new TypeSpec(TypeID.parse("AWS::Backup::BackupPlan"), { namePropReplacement: "BackupPlan.BackupPlanName" });
+
+            spec.applyType({ element, logicalElement: element, logicalName: "Daily", pluginConfig });
+
+            assert.deepStrictEqual(element, { BackupPlan: { BackupPlanRule: [], BackupPlanName: "svc-daily" } });
+            assert.strictEqual(spec.getNamePropValue(element), "svc-daily");
+        });
+
+        it("creates missing parents of nested name properties", () => {
+            const element = {};
+
+            new TypeSpec(TypeID.parse("AWS::Glue::Database"), { namePropReplacement: "DatabaseInput.Name" }).applyType({
+                element, logicalElement: {}, logicalName: "Events", pluginConfig,
+            });
+
+            assert.deepStrictEqual(element, { DatabaseInput: { Name: "svc-events" } });
+        });
+
+        it("keeps names provided by the logical element", () => {
+            const element = { QueueName: "given" };
+            const result = new TypeSpec(TypeID.parse("AWS::SQS::Queue")).applyType({
+                element, logicalElement: { QueueName: "given" }, logicalName: "OrderQueue", pluginConfig,
+            });
+
+            assert.deepStrictEqual(result, { nameValue: "given", provided: true });
+        });
+
+        it("does nothing for types without name insertion", () => {
+            const element = {};
+            const result = new TypeSpec(TypeID.parse("AWS::S3::BucketPolicy"), { noNameInsertion: true }).applyType({
+                element, logicalElement: {}, logicalName: "Policy", pluginConfig,
+            });
+
+            assert.strictEqual(result, undefined);
+            assert.deepStrictEqual(element, {});
+        });
+
+        it("applies the converters and keeps the suffix when shortening", () => {
+            const spec = new TypeSpec(TypeID.parse("AWS::SQS::Queue"), {
+                nameConverter: ({ value }) => value.replace(/-/g, "_"),
+                nameSuffix: () => ".fifo",
+                maxLength: 30,
+                allowedCharacters: /[A-Za-z0-9_-]/,
+            });
+            const element = {};
+
+            spec.applyType({ element, logicalElement: {}, logicalName: "AVeryLongLogicalQueueName", pluginConfig });
+
+            assert.strictEqual(element.QueueName.length, 30);
+            assert.match(element.QueueName, /^svc_a_very_long_-[0-9a-f]{8}\.fifo$/);
+        });
+    });
+
+    it("replaces illegal characters by the separator", () => {
+        const spec = new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { allowedCharacters: /[a-z0-9-]/ });
+
+        assert.strictEqual(spec.sanitizeNameValue("my_Bucket"), "my--ucket");
+    });
+
+    it("shortens names deterministically", () => {
+        const spec = new TypeSpec(TypeID.parse("AWS::IAM::Role"), { maxLength: 20 });
+        const shortened = spec.shortenNameValue("a-name-that-is-far-too-long");
+
+        assert.strictEqual(shortened.length, 20);
+        assert.strictEqual(shortened, spec.shortenNameValue("a-name-that-is-far-too-long"));
+        assert.notStrictEqual(shortened, spec.shortenNameValue("a-name-that-is-far-too-lonG"));
+        assert.throws(() => new TypeSpec(TypeID.parse("AWS::IAM::Role"), { maxLength: 8 }).shortenNameValue("a-name-that-is-far-too-long"), /cannot be shortened/);
+    });
+
+    it("reports violated name constraints", () => {
+        const spec = new TypeSpec(TypeID.parse("AWS::IAM::Role"), { maxLength: 5, allowedCharacters: /[a-z]/ });
+
+        assert.strictEqual(spec.getNameValueViolation("abc"), undefined);
+        assert.match(spec.getNameValueViolation("abcdef"), /exceeds the maximum length of 5/);
+        assert.match(spec.getNameValueViolation("a_b"), /illegal characters "_"/);
+        assert.strictEqual(spec.getNameValueViolation({ Ref: "Name" }), undefined);
+    });
+
+    it("qualifies names of wider scopes", () => {
+        const config = { ...pluginConfig, qualifyScopedNames: true, accountId: "123456789012" };
+        const getName = (scope, template) => new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { scope }).getNameValue({
+            element: {}, logicalElement: {}, logicalName: "Uploads", pluginConfig: { ...config, nameTemplate: template },
+        });
+
+        assert.strictEqual(getName("region", "{prefix}{logicalName}"), "svc-uploads");
+        assert.strictEqual(getName("account", "{prefix}{logicalName}"), "svc-uploads-eu-west-1");
+        assert.strictEqual(getName("account", "{prefix}{logicalName}-{region}"), "svc-uploads-eu-west-1");
+        assert.match(getName("global", "{prefix}{logicalName}"), /^svc-uploads-[0-9a-f]{8}$/);
+    });
+
+    describe("mergeTags", () => {
+        const tags = { "auto-name:logical-id": "Uploads", "auto-name:generated": "true" };
+
+        it("merges the tags into tag lists, keeping the specified tags", () => {
+            const spec = new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { tagsFormat: "list" });
+            const element = { Tags: [{ Key: "auto-name:generated", Value: "false" }, { Key: "team", Value: "data" }] };
+
+            assert.strictEqual(spec.mergeTags(element, tags), undefined);
+            assert.deepStrictEqual(element.Tags, [
+                { Key: "auto-name:generated", Value: "false" },
+                { Key: "team", Value: "data" },
+                { Key: "auto-name:logical-id", Value: "Uploads" },
+            ]);
+        });
+
+        it("merges the tags into tag maps of the tags property, keeping the specified tags", () => {
+            const spec = new TypeSpec(TypeID.parse("AWS::Cognito::UserPool"), { tagsFormat: "map", tagsProp: "UserPoolTags" });
+            const element = { UserPoolTags: { "auto-name:generated": "false" } };
+
+            assert.strictEqual(spec.mergeTags(element, tags), undefined);
+            assert.deepStrictEqual(element, { UserPoolTags: { "auto-name:logical-id": "Uploads", "auto-name:generated": "false" } });
+        });
+
+        it("creates missing tags properties", () => {
+            const element = {};
+
+            new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { tagsFormat: "list" }).mergeTags(element, { key: "value" });
+
+            assert.deepStrictEqual(element, { Tags: [{ Key: "key", Value: "value" }] });
+        });
+
+        it("does not merge into types without tags or tags of another form", () => {
+            const element = { Tags: { "Fn::If": ["IsProd", [], { Ref: "AWS::NoValue" }] } };
+
+            assert.strictEqual(new TypeSpec(TypeID.parse("AWS::S3::Bucket")).mergeTags({}, tags), "its type \"AWS::S3::Bucket\" has no tags");
+            assert.strictEqual(new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { tagsFormat: "list" }).mergeTags(element, tags), "its property \"Tags\" is not a list");
+            assert.strictEqual(new TypeSpec(TypeID.parse("AWS::SSM::Parameter"), { tagsFormat: "map" }).mergeTags(element, tags), "its property \"Tags\" is not a map");
+            assert.strictEqual(new TypeSpec(TypeID.parse("AWS::SSM::Parameter"), { tagsFormat: "map" }).mergeTags({ Tags: [] }, tags), "its property \"Tags\" is not a map");
+            assert.deepStrictEqual(element, { Tags: { "Fn::If": ["IsProd", [], { Ref: "AWS::NoValue" }] } });
+        });
+
+        it("does not merge tags exceeding the maximum number of tags", () => {
+            const list = { Tags: Array.from({ length: 49 }, (value, idx) => ({ Key: `key${idx}`, Value: "value" })) };
+            const map = { Tags: Object.fromEntries(Array.from({ length: 48 }, (value, idx) => [`key${idx}`, "value"])) };
+            const full = { Tags: [...list.Tags.slice(1), { Key: "auto-name:generated", Value: "false" }] };
+
+            assert.strictEqual(new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { tagsFormat: "list" }).mergeTags(list, tags),
+                "its property \"Tags\" would have 51 tags, but at most 50 are allowed");
+            assert.strictEqual(new TypeSpec(TypeID.parse("AWS::SSM::Parameter"), { tagsFormat: "map" }).mergeTags(map, tags), undefined);
+            assert.strictEqual(new TypeSpec(TypeID.parse("AWS::S3::Bucket"), { tagsFormat: "list" }).mergeTags(full, tags), undefined);
+            assert.strictEqual(list.Tags.length, 49);
+            assert.strictEqual(Object.keys(map.Tags).length, 50);
+            assert.strictEqual(full.Tags.length, 50);
+        });
+    });
+});